@@ -0,0 +1,96 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+const modes = ["insert", "ignore", "upsert"];
+
+function updateClause(columns, update, escapeId) {
+  if (update && !Array.isArray(update)) {
+    return Object.entries(update)
+      .map(([column, expression]) => escapeId(column) + " = " + expression)
+      .join(", ");
+  }
+  return (update ?? columns)
+    .map((column) => escapeId(column) + " = VALUES(" + escapeId(column) + ")")
+    .join(", ");
+}
+
+/**
+ * Splits rows into multi-row INSERT statements no larger than `maxBytes`.
+ * @param {string} table - Target table
+ * @param {Array<Object|Array>} rows - Objects keyed by column, or tuples ordered as `columns`
+ * @param {Object} options
+ * @param {Array<string>} [options.columns] - Column list; defaults to the keys of the first object
+ * @param {string} [options.mode="insert"] - `insert`, `ignore` or `upsert` (ON DUPLICATE KEY UPDATE)
+ * @param {Array<string>|Object} [options.update] - Upsert columns, or `{column: sqlExpression}`; defaults to all columns
+ * @param {number} options.maxBytes - Size limit of one statement
+ * @param {number} [options.maxRows] - Row limit of one statement
+ * @param {function(*, string): string} options.escape - Value escaping of the connection, given the column
+ * @param {function(string): string} options.escapeId - Identifier escaping
+ * @returns {Array<{sql: string, statement: string, rows: number, bytes: number}>} - `statement`
+ * is the SQL without its values, for logs and traces
+ */
+export function insertBatches(
+  table,
+  rows,
+  { columns, mode = "insert", update, maxBytes, maxRows = Infinity, escape, escapeId }
+) {
+  if (!modes.includes(mode)) {
+    throw new Error('Unknown bulk insert mode "' + mode + '", expected one of: ' + modes.join(", "));
+  }
+  const columnList = columns ?? Object.keys(rows.find((row) => !Array.isArray(row)) ?? {});
+  if (!columnList.length) {
+    throw new Error("Bulk insert into " + table + " requires a column list");
+  }
+  const head =
+    "INSERT " + (mode === "ignore" ? "IGNORE " : "") + "INTO " + escapeId(table) +
+    " (" + columnList.map((column) => escapeId(column)).join(", ") + ") VALUES ";
+  const tail =
+    mode === "upsert" ? " ON DUPLICATE KEY UPDATE " + updateClause(columnList, update, escapeId) : "";
+  const overhead = Buffer.byteLength(head) + Buffer.byteLength(tail);
+
+  const batches = [];
+  let tuples = [];
+  let bytes = overhead;
+  const flush = () => {
+    if (tuples.length) {
+      batches.push({
+        sql: head + tuples.join(",") + tail,
+        statement: head + "/* " + tuples.length + " rows */" + tail,
+        rows: tuples.length,
+        bytes,
+      });
+    }
+    tuples = [];
+    bytes = overhead;
+  };
+  rows.forEach((row, index) => {
+    let values;
+    if (Array.isArray(row)) {
+      if (row.length !== columnList.length) {
+        throw new Error(
+          "Bulk insert row " + index + " has " + row.length + " values, expected " + columnList.length
+        );
+      }
+      values = row.map((value, position) => escape(value, columnList[position]));
+    } else {
+      values = columnList.map((column) =>
+        column in row ? escape(row[column], column) : "DEFAULT"
+      );
+    }
+    const tuple = "(" + values.join(", ") + ")";
+    const size = Buffer.byteLength(tuple) + 1;
+    if (overhead + size > maxBytes) {
+      throw new Error(
+        "Bulk insert row " + index + " (" + size + " bytes) does not fit in a packet of " + maxBytes + " bytes"
+      );
+    }
+    if (bytes + size > maxBytes || tuples.length >= maxRows) {
+      flush();
+    }
+    tuples.push(tuple);
+    bytes += size;
+  });
+  flush();
+  return batches;
+}
@@ -0,0 +1,139 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { Transform } from "stream";
+
+/**
+ * Formats one CSV field: NULL becomes `nullValue` (unquoted), fields holding
+ * the delimiter, the quote, line breaks or surrounding spaces are quoted and
+ * inner quotes doubled.
+ */
+export function csvField(value, { delimiter = ",", quote = '"', nullValue = "", formatValue } = {}) {
+  if (value === null || value === undefined) {
+    return nullValue;
+  }
+  let text;
+  if (formatValue) {
+    text = String(formatValue(value));
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Buffer.isBuffer(value)) {
+    text = value.toString("hex");
+  } else if (typeof value === "boolean") {
+    text = value ? "1" : "0";
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  const needsQuotes =
+    text.includes(delimiter) ||
+    text.includes(quote) ||
+    /[\r\n]/.test(text) ||
+    text !== text.trim() ||
+    (text === nullValue && nullValue !== "") ||
+    (text === "" && nullValue === "");
+  return needsQuotes ? quote + text.split(quote).join(quote + quote) + quote : text;
+}
+
+export function csvLine(values, options = {}) {
+  return values.map((value) => csvField(value, options)).join(options.delimiter ?? ",") +
+    (options.lineTerminator ?? "\n");
+}
+
+/**
+ * Counts bytes and line terminators flowing through, reporting them to
+ * `onProgress` at most once per chunk.
+ */
+export class CsvProgress extends Transform {
+  constructor(onProgress, lineTerminator = "\n") {
+    super();
+    this.bytes = 0;
+    this.lines = 0;
+    this.onProgress = onProgress;
+    this.terminator = Buffer.from(lineTerminator);
+  }
+
+  _transform(chunk, encoding, done) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+    this.bytes += buffer.length;
+    for (let index = buffer.indexOf(this.terminator); index >= 0; index = buffer.indexOf(this.terminator, index + 1)) {
+      this.lines++;
+    }
+    this.onProgress?.({ bytes: this.bytes, lines: this.lines });
+    done(null, buffer);
+  }
+}
+
+/**
+ * Builds a `LOAD DATA LOCAL INFILE` statement.
+ * @param {string} table - Target table
+ * @param {string} file - File name sent to the server (and back to the stream factory)
+ * @param {Object} options
+ * @param {Array<string|null>} [options.columns] - Columns in file order; `null` skips a field
+ * @param {Object} [options.set] - `{column: sqlExpression}` assignments
+ * @param {string} [options.delimiter=","] - Field separator (`"\t"` for TSV)
+ * @param {string} [options.quote='"'] - Optional enclosing character
+ * @param {string} [options.escape="\\"] - Escape character, empty to disable
+ * @param {string} [options.lineTerminator="\n"] - Line separator
+ * @param {boolean|number} [options.header=false] - Lines to skip (`true` is one)
+ * @param {string} [options.charset] - File character set
+ * @param {string} [options.duplicates] - `replace` or `ignore`
+ * @param {function(*): string} escape - Value escaping
+ * @param {function(string): string} escapeId - Identifier escaping
+ * @returns {string}
+ */
+export function loadDataStatement(table, file, options, escape, escapeId) {
+  const {
+    columns,
+    set,
+    delimiter = ",",
+    quote = '"',
+    escape: escapeCharacter = "\\",
+    lineTerminator = "\n",
+    header = false,
+    charset,
+    duplicates,
+  } = options;
+  if (duplicates && !["replace", "ignore"].includes(duplicates)) {
+    throw new Error('Unknown duplicates mode "' + duplicates + '", expected "replace" or "ignore"');
+  }
+  if (charset && !/^\w+$/.test(charset)) {
+    throw new Error('Invalid character set "' + charset + '"');
+  }
+  const skip = header === true ? 1 : Number(header) || 0;
+  let sql =
+    "LOAD DATA LOCAL INFILE " + escape(file) +
+    (duplicates ? " " + duplicates.toUpperCase() : "") +
+    " INTO TABLE " + escapeId(table) +
+    (charset ? " CHARACTER SET " + charset : "") +
+    " FIELDS TERMINATED BY " + escape(delimiter) +
+    (quote ? " OPTIONALLY ENCLOSED BY " + escape(quote) : "") +
+    " ESCAPED BY " + escape(escapeCharacter) +
+    " LINES TERMINATED BY " + escape(lineTerminator) +
+    (skip ? " IGNORE " + skip + " LINES" : "");
+  if (columns?.length) {
+    sql += " (" + columns.map((column, index) => (column ? escapeId(column) : "@skip" + index)).join(", ") + ")";
+  }
+  if (set && Object.keys(set).length) {
+    sql += " SET " + Object.entries(set).map(([column, expression]) => escapeId(column) + " = " + expression).join(", ");
+  }
+  return sql;
+}
+
+/**
+ * Parses the "Records: 3  Deleted: 0  Skipped: 0  Warnings: 0" info message
+ * of a `LOAD DATA` result.
+ */
+export function loadDataSummary(results) {
+  const info = String(results?.message ?? results?.info ?? "");
+  const count = (name) => Number(info.match(new RegExp(name + ":\\s*(\\d+)"))?.[1] ?? 0);
+  return {
+    affectedRows: results?.affectedRows ?? 0,
+    records: count("Records"),
+    deleted: count("Deleted"),
+    skipped: count("Skipped"),
+    warnings: results?.warningCount ?? results?.warningStatus ?? count("Warnings"),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import mysql from "mysql";
+
+export const supportedDrivers = ["mysql", "mysql2"];
+
+const drivers = { mysql };
+
+/**
+ * Loads a driver backend. Both expose the same callback API
+ * (`createPool`, `getConnection`, `query`, `beginTransaction`, ...);
+ * `mysql2` adds server-side prepared statements (`execute`) and
+ * `caching_sha2_password` authentication.
+ * @param {string} [name="mysql"] - `mysql` or `mysql2`
+ * @returns {Promise<Object>} - The driver module
+ */
+export async function loadDriver(name = "mysql") {
+  if (!supportedDrivers.includes(name)) {
+    throw new Error(
+      'Unknown MariaDB driver "' + name + '", expected one of: ' + supportedDrivers.join(", ")
+    );
+  }
+  if (!drivers[name]) {
+    drivers[name] = (await import(name)).default;
+  }
+  return drivers[name];
+}
+
+/**
+ * Returns a driver already loaded by `loadDriver`.
+ * @param {string} [name="mysql"] - `mysql` or `mysql2`
+ * @returns {Object}
+ */
+export function getDriver(name = "mysql") {
+  if (!drivers[name]) {
+    throw new Error('MariaDB driver "' + name + '" is not loaded');
+  }
+  return drivers[name];
+}
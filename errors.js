@@ -0,0 +1,244 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+/**
+ * Base class of the classified MySQL/MariaDB errors.
+ * Keeps the driver fields (`code`, `errno`, `sqlState`, `sqlMessage`, `fatal`)
+ * and the driver error itself as `cause`.
+ * `httpStatus` suggests how the web layer should answer.
+ */
+export class MariaDBError extends Error {
+  static httpStatus = 500;
+
+  constructor(message, { cause, ...details } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.httpStatus = new.target.httpStatus;
+    this.code = cause?.code;
+    this.errno = cause?.errno;
+    this.sqlState = cause?.sqlState;
+    this.sqlMessage = cause?.sqlMessage;
+    this.fatal = cause?.fatal ?? false;
+    Object.assign(this, details);
+  }
+}
+
+export class UniqueViolationError extends MariaDBError {
+  static httpStatus = 409;
+}
+
+export class ForeignKeyViolationError extends MariaDBError {
+  static httpStatus = 409;
+}
+
+export class NotNullViolationError extends MariaDBError {
+  static httpStatus = 422;
+}
+
+export class CheckViolationError extends MariaDBError {
+  static httpStatus = 422;
+}
+
+export class DataTooLongError extends MariaDBError {
+  static httpStatus = 422;
+}
+
+export class InvalidValueError extends MariaDBError {
+  static httpStatus = 422;
+}
+
+export class DeadlockError extends MariaDBError {
+  static httpStatus = 503;
+}
+
+export class LockWaitTimeoutError extends MariaDBError {
+  static httpStatus = 503;
+}
+
+export class ConnectionError extends MariaDBError {
+  static httpStatus = 503;
+}
+
+export class AccessDeniedError extends MariaDBError {}
+
+export class SQLSyntaxError extends MariaDBError {}
+
+export class UnknownObjectError extends MariaDBError {}
+
+export class QueryTimeoutError extends MariaDBError {
+  static httpStatus = 503;
+}
+
+export class QueryCancelledError extends MariaDBError {
+  static httpStatus = 499;
+}
+
+export class TenantAccessError extends MariaDBError {
+  static httpStatus = 403;
+}
+
+export class LockNotAcquiredError extends MariaDBError {
+  static httpStatus = 409;
+}
+
+export class InvalidCursorError extends MariaDBError {
+  static httpStatus = 400;
+}
+
+export class ShuttingDownError extends MariaDBError {
+  static httpStatus = 503;
+}
+
+const connectionCodes = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EHOSTUNREACH",
+  "ETIMEDOUT",
+  "EPIPE",
+  "PROTOCOL_CONNECTION_LOST",
+  "PROTOCOL_SEQUENCE_TIMEOUT",
+  "POOL_CLOSED",
+  "ER_CON_COUNT_ERROR",
+  "ER_SERVER_SHUTDOWN",
+]);
+
+const quoted = "[`'\"]([^`'\"]*)[`'\"]";
+
+/**
+ * Splits a possibly qualified name (`schema`.`table`.`column`) into its parts.
+ */
+function qualifiedName(text) {
+  return [...String(text).matchAll(new RegExp(quoted, "g"))].map((match) => match[1]);
+}
+
+function match(message, pattern) {
+  return String(message ?? "").match(pattern) ?? [];
+}
+
+const classifiers = {
+  ER_DUP_ENTRY: (message) => {
+    const [, value, key] = match(message, new RegExp("Duplicate entry '([\\s\\S]*)' for key " + quoted));
+    const parts = key?.split(".") ?? [];
+    return [
+      UniqueViolationError,
+      {
+        value,
+        constraint: parts.pop(),
+        table: parts.pop(),
+      },
+    ];
+  },
+  ER_NO_REFERENCED_ROW_2: (message) => foreignKey(message),
+  ER_ROW_IS_REFERENCED_2: (message) => foreignKey(message),
+  ER_NO_REFERENCED_ROW: (message) => foreignKey(message),
+  ER_ROW_IS_REFERENCED: (message) => foreignKey(message),
+  ER_BAD_NULL_ERROR: (message) => [
+    NotNullViolationError,
+    { column: match(message, new RegExp("Column " + quoted))[1] },
+  ],
+  ER_NO_DEFAULT_FOR_FIELD: (message) => [
+    NotNullViolationError,
+    { column: match(message, new RegExp("Field " + quoted))[1] },
+  ],
+  ER_DATA_TOO_LONG: (message) => [
+    DataTooLongError,
+    { column: match(message, new RegExp("for column " + quoted))[1] },
+  ],
+  ER_WARN_DATA_OUT_OF_RANGE: (message) => [
+    InvalidValueError,
+    { column: match(message, new RegExp("for column " + quoted))[1] },
+  ],
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: (message) => {
+    const [, value, target] = match(message, /value: '([\s\S]*)' for column (\S+)/);
+    const parts = target ? qualifiedName(target) : [];
+    return [InvalidValueError, { value, column: parts.pop(), table: parts.pop() }];
+  },
+  ER_CHECK_CONSTRAINT_VIOLATED: (message) => [
+    CheckViolationError,
+    { constraint: match(message, new RegExp("Check constraint " + quoted))[1] },
+  ],
+  ER_CONSTRAINT_FAILED: (message) => {
+    const [, constraint, target] = match(message, new RegExp("CONSTRAINT " + quoted + " failed for (\\S+)"));
+    const parts = target ? qualifiedName(target) : [];
+    return [CheckViolationError, { constraint, table: parts.pop() }];
+  },
+  ER_LOCK_DEADLOCK: () => [DeadlockError, {}],
+  ER_LOCK_WAIT_TIMEOUT: () => [LockWaitTimeoutError, {}],
+  ER_ACCESS_DENIED_ERROR: () => [AccessDeniedError, {}],
+  ER_DBACCESS_DENIED_ERROR: () => [AccessDeniedError, {}],
+  ER_TABLEACCESS_DENIED_ERROR: () => [AccessDeniedError, {}],
+  ER_PARSE_ERROR: () => [SQLSyntaxError, {}],
+  ER_NO_SUCH_TABLE: (message) => [
+    UnknownObjectError,
+    { table: match(message, /Table '([^']*)' doesn't exist/)[1]?.split(".").pop() },
+  ],
+  ER_BAD_FIELD_ERROR: (message) => [
+    UnknownObjectError,
+    { column: match(message, new RegExp("Unknown column " + quoted))[1] },
+  ],
+  ER_STATEMENT_TIMEOUT: () => [QueryTimeoutError, {}],
+};
+
+const codesByErrno = {
+  1062: "ER_DUP_ENTRY",
+  1451: "ER_ROW_IS_REFERENCED_2",
+  1452: "ER_NO_REFERENCED_ROW_2",
+  1048: "ER_BAD_NULL_ERROR",
+  1406: "ER_DATA_TOO_LONG",
+  1213: "ER_LOCK_DEADLOCK",
+  1205: "ER_LOCK_WAIT_TIMEOUT",
+  1064: "ER_PARSE_ERROR",
+  3819: "ER_CHECK_CONSTRAINT_VIOLATED",
+  4025: "ER_CONSTRAINT_FAILED",
+  1969: "ER_STATEMENT_TIMEOUT",
+};
+
+function foreignKey(message) {
+  const [, target, constraint, column, referencedTable, referencedColumn] = match(
+    message,
+    new RegExp(
+      "\\((\\S+), CONSTRAINT " + quoted + " FOREIGN KEY \\(" + quoted + "\\) REFERENCES " +
+        quoted + " \\(" + quoted + "\\)"
+    )
+  );
+  const parts = target ? qualifiedName(target) : [];
+  return [
+    ForeignKeyViolationError,
+    {
+      constraint,
+      table: parts.pop(),
+      column,
+      referencedTable,
+      referencedColumn,
+    },
+  ];
+}
+
+/**
+ * Maps a driver error to the matching `MariaDBError` subclass, parsing the
+ * constraint, table and column names from the server message.
+ * Errors that are already classified are returned unchanged.
+ * @param {Error} error - Driver error
+ * @returns {MariaDBError}
+ */
+export function classifyError(error) {
+  if (!error || error instanceof MariaDBError) {
+    return error;
+  }
+  const code = error.code in classifiers ? error.code : codesByErrno[error.errno];
+  const message = error.sqlMessage ?? error.message;
+  if (code in classifiers) {
+    const [ErrorClass, details] = classifiers[code](message);
+    const classified = new ErrorClass(error.message, { cause: error, ...details });
+    if (classified instanceof ForeignKeyViolationError) {
+      classified.httpStatus = /^ER_ROW_IS_REFERENCED/.test(code) ? 409 : 422;
+    }
+    return classified;
+  }
+  if (connectionCodes.has(error.code) || error.fatal) {
+    return new ConnectionError(error.message, { cause: error });
+  }
+  return new MariaDBError(error.message, { cause: error });
+}
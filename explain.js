@@ -0,0 +1,84 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { splitStatements, statementOperation } from "./sql-utils.js";
+
+const explainable = new Set(["SELECT", "UPDATE", "DELETE"]);
+
+/**
+ * Builds the statement returning the plan of `command` as JSON, or `null`
+ * when it cannot be explained. `ANALYZE` runs the statement, so it is only
+ * used for SELECT; writes always get a plain `EXPLAIN`.
+ * @param {string} command - SQL command
+ * @param {boolean|string} mode - `true` for EXPLAIN, "analyze" for ANALYZE
+ * @returns {?string}
+ */
+export function explainStatement(command, mode) {
+  const operation = statementOperation(command);
+  if (!explainable.has(operation) || splitStatements(command).length !== 1) {
+    return null;
+  }
+  const analyze = mode === "analyze" && operation === "SELECT";
+  return (analyze ? "ANALYZE" : "EXPLAIN") + " FORMAT=JSON " + command;
+}
+
+function visit(node, table, warnings) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => visit(child, table, warnings));
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  if (node.table_name) {
+    const name = node.table_name;
+    if (node.access_type === "ALL") {
+      warnings.push({
+        type: "fullTableScan",
+        table: name,
+        rows: node.rows ?? node.rows_examined_per_scan,
+        message: "Full table scan on " + name,
+      });
+    }
+    if (node.possible_keys?.length && !node.key) {
+      warnings.push({
+        type: "unusedIndex",
+        table: name,
+        possibleKeys: node.possible_keys,
+        message: "Indexes " + node.possible_keys.join(", ") + " of " + name + " are not used",
+      });
+    }
+    table = name;
+  }
+  if (node.filesort || node.using_filesort || node.read_sorted_file) {
+    warnings.push({ type: "filesort", table, message: "Sorting requires a filesort" });
+  }
+  if (node.temporary_table || node.using_temporary_table) {
+    warnings.push({ type: "temporaryTable", table, message: "A temporary table is used" });
+  }
+  for (const child of Object.values(node)) {
+    visit(child, table, warnings);
+  }
+}
+
+/**
+ * Collects the warnings of a JSON plan (MariaDB or MySQL format): full
+ * table scans, filesorts, temporary tables and candidate indexes left unused.
+ * @param {Object} plan - Parsed `EXPLAIN FORMAT=JSON` output
+ * @returns {Array<{type: string, table: string, message: string}>}
+ */
+export function planWarnings(plan) {
+  const warnings = [];
+  visit(plan, undefined, warnings);
+  // nested blocks may report the same sort or temporary table twice
+  return warnings.filter(
+    (warning, index) =>
+      warnings.findIndex(
+        (other) =>
+          other.type === warning.type &&
+          other.table === warning.table &&
+          other.message === warning.message
+      ) === index
+  );
+}
@@ -2,13 +2,373 @@
  * @author Roberto Stefani
  **/
 
+import fs from "fs";
 import mysql from "mysql";
+import os from "os";
+import path from "path";
+import { Readable, pipeline as pipe } from "stream";
+import { pipeline } from "stream/promises";
 import {
   SQLDBConnection,
 } from "@ares/core/datasources.js";
-import { asyncConsole } from "@ares/core/console.js";
 import { dataDescriptors } from "@ares/core/dataDescriptors.js";
 import { avoidInjection } from "@ares/sql/script-helpers.js";
+import {
+  InvalidCursorError,
+  LockNotAcquiredError,
+  QueryCancelledError,
+  QueryTimeoutError,
+  ShuttingDownError,
+  TenantAccessError,
+  classifyError,
+} from "./errors.js";
+import { insertBatches } from "./bulk-insert.js";
+import {
+  CsvProgress,
+  csvLine,
+  loadDataStatement,
+  loadDataSummary,
+} from "./csv.js";
+import { loadDriver } from "./drivers.js";
+import { explainStatement, planWarnings } from "./explain.js";
+import {
+  emitLogEvent,
+  errorDetails,
+  logLevels,
+  redactParams,
+} from "./logger.js";
+import {
+  PoolMetrics,
+  connectionsOf,
+  poolGauges,
+  startKeepalive,
+} from "./metrics.js";
+import { poolState } from "./pool-state.js";
+import { ReplicaSet } from "./replicas.js";
+import { resolveCredentials, tlsOptions } from "./security.js";
+import { LruCacheStore, invalidateTables, resultCacheKey } from "./result-cache.js";
+import {
+  driverError,
+  isRetryable,
+  retryDelay,
+  retryPolicy,
+  sleep,
+} from "./retry.js";
+import {
+  bindNamedParameters,
+  isReadOnlyStatement,
+  resultSets,
+  splitStatements,
+  statementOperation,
+  statementTable,
+  statementTables,
+  writtenTables,
+} from "./sql-utils.js";
+import {
+  countQuery,
+  decodeCursor,
+  encodeCursor,
+  keysetFingerprint,
+  keysetOrder,
+  keysetQuery,
+} from "./pagination.js";
+import { getSyncQueryWorker, terminateSyncQueryWorker } from "./sync-query.js";
+import { currentRequestContext, withSpan } from "./tracing.js";
+import {
+  castParam,
+  castParams,
+  castSettings,
+  sessionTimezone,
+  typeCastOptions,
+} from "./type-cast.js";
+
+const instanceKeys = new Set([
+  "datasource",
+  "sessionId",
+  "connectionSettingName",
+  "connection",
+  "pool",
+  "transaction",
+  "savepoints",
+  "replicaSet",
+  "transactionAttempt",
+  "avoidInjection",
+  "tenantSchema",
+  "locks",
+]);
+
+const moduleSettings = new Set([
+  "driver",
+  "replicas",
+  "replicaSelection",
+  "replicaHealthCheckInterval",
+  "replicaRetryDelay",
+  "retry",
+  "queryTimeout",
+  "queryTimeoutStrategy",
+  "keepaliveInterval",
+  "latencyBuckets",
+  "syncQueryTimeout",
+  "logger",
+  "logLevel",
+  "slowQueryThreshold",
+  "redact",
+  "tracer",
+  "explain",
+  "initSession",
+  "resetSession",
+  "tenant",
+  "tenantSchemas",
+  "lockTimeout",
+  "cursorSecret",
+  "shutdownTimeout",
+  "shutdownOnSignal",
+  "leakDetectionThreshold",
+  "leakDetectionAction",
+  "resultCache",
+  "tls",
+  "credentials",
+]);
+
+// physical connections whose session has been initialized, by pending run
+const initializedSessions = new WeakMap();
+// current schema of the physical connections routed to a tenant
+const connectionSchemas = new WeakMap();
+// acquisition time, stack and last query of the connected sessions
+const sessionHolds = new WeakMap();
+// tables written by the open transaction of a session, invalidated again at commit
+const transactionWrites = new WeakMap();
+// credentials generation each physical connection was opened with
+const connectionGenerations = new WeakMap();
+// pools to close on each shutdown signal, behind one process listener per signal
+const signalClosers = new Map();
+
+/**
+ * Connection parameters understood by the driver: the instance state and the
+ * settings consumed by this module are left out (mysql2 warns about unknown
+ * options).
+ */
+function driverOptions(connection) {
+  return {
+    ...Object.fromEntries(
+      Object.entries(connection).filter(
+        ([key]) => !instanceKeys.has(key) && !moduleSettings.has(key)
+      )
+    ),
+    ...typeCastOptions(castSettings(connection.typeCast)),
+    ...(connection.tls && { ssl: tlsOptions(connection.tls) }),
+    // the drivers only understand offsets
+    ...(connection.timezone === "UTC" && { timezone: "Z" }),
+  };
+}
+
+/**
+ * Driver options for the synchronous query worker. Functions cannot cross
+ * the thread boundary, so the worker rebuilds the type casting from the
+ * settings (a `decimal` hook falls back to strings there).
+ */
+function workerOptions(connection) {
+  const options = Object.fromEntries(
+    Object.entries(driverOptions(connection)).filter(
+      ([, value]) => typeof value !== "function"
+    )
+  );
+  if (connection.initSession && typeof connection.initSession !== "function") {
+    options.initSession = connection.initSession;
+  }
+  const settings = castSettings(connection.typeCast);
+  if (settings) {
+    options.typeCast = {
+      ...settings,
+      decimal: typeof settings.decimal === "function" ? "string" : settings.decimal,
+    };
+  }
+  return options;
+}
+
+function createDriverPool(driver, options) {
+  const pool = driver.createPool(options);
+  const state = poolState(pool);
+  state.driver = driver;
+  state.options = options;
+  return pool;
+}
+
+/**
+ * Runs `close` when `signal` is received. A single listener per signal
+ * closes every registered pool, then raises the signal again so the
+ * default handling (exit) applies.
+ */
+function closeOnSignal(signal, close) {
+  if (!signalClosers.has(signal)) {
+    signalClosers.set(signal, new Set());
+    process.once(signal, async () => {
+      const closers = [...signalClosers.get(signal)];
+      signalClosers.delete(signal);
+      await Promise.allSettled(closers.map((closer) => closer()));
+      if (!process.listenerCount(signal)) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+  signalClosers.get(signal).add(close);
+}
+
+// IS_USED_LOCK result as a number whatever the typeCast
+function lockThreadId(value) {
+  return value === null ? null : Number(value);
+}
+
+function heldSession(session, hold, now) {
+  return {
+    sessionId: session.sessionId,
+    threadId: session.connection?.threadId,
+    acquiredAt: new Date(hold.acquiredAt).toISOString(),
+    age: now - hold.acquiredAt,
+    lastQuery: hold.lastQuery,
+    lastQueryAt: hold.lastQueryAt && new Date(hold.lastQueryAt).toISOString(),
+    transaction: session.transaction ?? null,
+    stack: hold.stack,
+  };
+}
+
+/**
+ * Rejects new acquisitions once the pool is shutting down.
+ */
+function assertAccepting(pool) {
+  if (poolState(pool).closing) {
+    throw new ShuttingDownError("The connection pool is shutting down");
+  }
+}
+
+/**
+ * Keeps a running query in the pool state until it settles, so shutdown
+ * can wait for it.
+ */
+function trackInFlight(pool, operation) {
+  const state = poolState(pool);
+  state.inFlight = state.inFlight ?? new Set();
+  state.inFlight.add(operation);
+  const settled = () => state.inFlight.delete(operation);
+  operation.then(settled, settled);
+  return operation;
+}
+
+function acquire(pool, metrics) {
+  assertAccepting(pool);
+  const start = Date.now();
+  return new Promise((resolve, reject) => {
+    pool.getConnection((error, connection) => {
+      metrics?.recordAcquire(Date.now() - start, error);
+      if (error) {
+        return reject(error);
+      }
+      resolve(connection);
+    });
+  });
+}
+
+function interruptionError(reason, timeout, cause) {
+  return reason === "timeout"
+    ? new QueryTimeoutError("Query timed out after " + timeout + " ms", {
+        cause,
+        code: "QUERY_TIMEOUT",
+        timeout,
+      })
+    : new QueryCancelledError("Query cancelled", { cause, code: "QUERY_CANCELLED" });
+}
+
+async function killQuery({ pool, connection }) {
+  const { driver, options } = poolState(pool);
+  // the credentials may have been rotated since the pool was created
+  const { user, password } = pool.config.connectionConfig;
+  const killer = driver.createConnection({ ...options, user, password });
+  return await new Promise((resolve, reject) => {
+    killer.query("KILL QUERY ?", [connection.threadId], (error) => {
+      killer.destroy();
+      if (error) {
+        return reject(error);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Runs statements one after the other on the same connection, collecting
+ * their result packets as a multi-statement query would. Stops at the first
+ * error or as soon as `stopped()` returns true.
+ */
+function queryEach(connection, method, statements, { prefix, values, stopped }, callback) {
+  const results = [];
+  const fields = [];
+  let offset = 0;
+  const next = (index) => {
+    if (index === statements.length || stopped()) {
+      return callback(null, results, fields);
+    }
+    const { sql, placeholders } = statements[index];
+    const params = Array.isArray(values) ? values.slice(offset, (offset += placeholders)) : values;
+    connection[method](prefix + sql, params, (error, result, field) => {
+      if (error) {
+        return callback(error);
+      }
+      if (statementOperation(sql) === "CALL") {
+        results.push(...result);
+        fields.push(...result.map((_, position) => field?.[position]));
+      } else {
+        results.push(result);
+        fields.push(field);
+      }
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Closes the prepared statements cached by mysql2 on a connection.
+ * @returns {number} - Number of statements closed
+ */
+function closePreparedStatements(connection) {
+  let closed = 0;
+  for (const [key, statement] of [...(connection._statements?.entries() ?? [])]) {
+    connection._statements.delete(key);
+    statement.close();
+    closed++;
+  }
+  return closed;
+}
+
+/**
+ * Resolves `:name` placeholders when the parameters are a plain object;
+ * positional parameters and `SET ?` objects pass through unchanged.
+ */
+function bindParameters(command, params) {
+  if (!params || typeof params !== "object" || Object.getPrototypeOf(params) !== Object.prototype) {
+    return { command, params };
+  }
+  return bindNamedParameters(command, params, (identifier) => mysql.escapeId(identifier));
+}
+
+function nativeStatement(connection, command, errorPrefix) {
+  return new Promise((resolve, reject) => {
+    connection.query(command, (error, results) => {
+      if (error) {
+        return reject(new Error(errorPrefix + error, { cause: error }));
+      }
+      resolve(results);
+    });
+  });
+}
+
+export * from "./errors.js";
+export {
+  InMemorySpanExporter,
+  Tracer,
+  currentSpan,
+  runInRequestContext,
+} from "./tracing.js";
 
 export class MariaDB extends SQLDBConnection {
   constructor(
@@ -22,9 +382,359 @@ export class MariaDB extends SQLDBConnection {
   }
 
   async createPool() {
-     return await this.datasource.getPool(this.connectionSettingName, () => 
-      mysql.createPool({ ...this, multipleStatements: true })
+    const driver = await loadDriver(this.driver);
+    const pool = await this.datasource.getPool(this.connectionSettingName, () =>
+      createDriverPool(driver, driverOptions(this))
     );
+    // pool-level events (replica ejections, stale connections) go to the configured logger
+    const log = (level, event, fields) => this.logEvent(level, event, fields);
+    if (this.replicas?.length) {
+      const state = poolState(pool);
+      state.replicaSet =
+        state.replicaSet ??
+        new ReplicaSet(
+          this.replicas.map((replica) =>
+            createDriverPool(driver, { ...driverOptions(this), ...replica })
+          ),
+          {
+            selection: this.replicaSelection,
+            healthCheckInterval: this.replicaHealthCheckInterval,
+            retryDelay: this.replicaRetryDelay,
+            log,
+          }
+        );
+      this.replicaSet = state.replicaSet;
+    }
+    if (this.keepaliveInterval > 0) {
+      const state = poolState(pool);
+      state.keepalive =
+        state.keepalive ??
+        startKeepalive(
+          [pool, ...(state.replicaSet?.replicas.map((replica) => replica.pool) ?? [])],
+          this.poolMetrics(pool),
+          this.keepaliveInterval,
+          log
+        );
+    }
+    if (typeof this.credentials === "function") {
+      const state = poolState(pool);
+      if (!state.generationWatch) {
+        state.generationWatch = (connection) =>
+          connectionGenerations.set(connection, state.credentialsGeneration ?? 0);
+        for (const target of [pool, ...(state.replicaSet?.replicas.map((replica) => replica.pool) ?? [])]) {
+          target.on("connection", state.generationWatch);
+        }
+      }
+      await this.applyCredentials(pool);
+    }
+    if (this.leakDetectionThreshold > 0) {
+      const state = poolState(pool);
+      if (!state.leakDetector) {
+        state.leakDetector = setInterval(
+          () => this.detectLeaks(pool),
+          Math.max(1000, this.leakDetectionThreshold / 4)
+        );
+        state.leakDetector.unref();
+      }
+    }
+    if (this.shutdownOnSignal) {
+      const state = poolState(pool);
+      if (!state.signals) {
+        const signals = this.shutdownOnSignal === true ? ["SIGTERM"] : [this.shutdownOnSignal].flat();
+        const close = () => this.closePool(pool, this.shutdownTimeout ?? 10000);
+        signals.forEach((signal) => closeOnSignal(signal, close));
+        state.signals = signals;
+      }
+    }
+    return pool;
+  }
+
+  poolMetrics(pool = this.pool) {
+    const state = poolState(pool);
+    if (!state.metrics) {
+      state.metrics = new PoolMetrics(this.latencyBuckets);
+    }
+    return state.metrics;
+  }
+
+  /**
+   * Returns a snapshot of the metrics of this connection setting: counters,
+   * error counts by code, query and acquire latency histograms, pool gauges
+   * and replica status.
+   * @returns {Object}
+   */
+  getMetrics() {
+    return {
+      connectionSetting: this.connectionSettingName,
+      ...this.poolMetrics().snapshot(this.pool),
+      replicas: this.replicaSet?.status(),
+      cache: poolState(this.pool).cacheStats,
+    };
+  }
+
+  /**
+   * Runs `SELECT 1` on a pooled connection, for readiness probes.
+   * Never rejects: failures are reported with `status: "down"`.
+   * @param {Object} [options]
+   * @param {number} [options.timeout=2000] - Milliseconds before the check fails
+   * @returns {Promise<{status: string, connectionSetting: string, latency: number, error: string, pool: Object, replicas: Array}>}
+   */
+  async healthCheck({ timeout = 2000 } = {}) {
+    const start = Date.now();
+    let timer;
+    const check = async () => {
+      const connection = await acquire(this.pool, this.poolMetrics());
+      try {
+        await nativeStatement(connection, "SELECT 1", "Health check failed: ");
+      } finally {
+        connection.release();
+      }
+    };
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("Health check timed out after " + timeout + " ms")),
+        timeout
+      );
+    });
+    const report = {
+      connectionSetting: this.connectionSettingName,
+      status: "up",
+    };
+    try {
+      await Promise.race([check(), expired]);
+    } catch (error) {
+      report.status = "down";
+      report.error = error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+    report.latency = Date.now() - start;
+    report.pool = poolGauges(this.pool);
+    if (this.replicaSet) {
+      report.replicas = this.replicaSet.status();
+    }
+    return report;
+  }
+
+  /**
+   * Shuts down this connection setting for the whole process: new
+   * acquisitions are rejected with `ShuttingDownError`, in-flight queries and
+   * open transactions get up to `timeout` ms to finish, transactions still
+   * open are then rolled back, sessions released and the pools (primary and
+   * replicas), timers and synchronous worker ended. Connections still busy
+   * at the deadline are destroyed. Repeated calls share the same run.
+   * @param {Object} [options]
+   * @param {number} [options.timeout=shutdownTimeout] - Milliseconds granted to in-flight work (10 s by default)
+   * @returns {Promise<{connectionSetting: string, drained: boolean, rolledBack: number, duration: number}>}
+   */
+  async shutdown({ timeout = this.shutdownTimeout ?? 10000 } = {}) {
+    return await this.closePool(this.pool, timeout);
+  }
+
+  closePool(pool, timeout) {
+    const state = poolState(pool);
+    const drain = async () => {
+      const start = Date.now();
+      const sessions = state.sessions ?? new Set();
+      const busy = () =>
+        state.inFlight?.size > 0 || [...sessions].some((session) => session.transaction);
+      this.logEvent("info", "shutdown", {
+        phase: "drain",
+        inFlight: state.inFlight?.size ?? 0,
+        sessions: sessions.size,
+        timeout,
+      });
+      while (busy() && Date.now() - start < timeout) {
+        await sleep(Math.min(50, timeout - (Date.now() - start)));
+      }
+      const drained = !busy();
+      let rolledBack = 0;
+      for (const session of [...sessions]) {
+        if (session.transaction) {
+          // past the deadline: a ROLLBACK would queue behind the running
+          // query, while the server rolls back on disconnect
+          session.logEvent("warn", "shutdown", {
+            phase: "rollback",
+            transaction: session.transaction,
+          });
+          session.discardConnection(pool);
+          rolledBack++;
+        } else if (session.connection) {
+          session.nativeDisconnect();
+        }
+      }
+      clearInterval(state.keepalive);
+      clearInterval(state.leakDetector);
+      let timer;
+      await Promise.race([
+        Promise.all([
+          new Promise((resolve) => pool.end(() => resolve())),
+          state.replicaSet?.end(),
+          terminateSyncQueryWorker(this.datasource, this.connectionSettingName),
+        ]),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, Math.max(timeout - (Date.now() - start), 0));
+        }),
+      ]);
+      clearTimeout(timer);
+      // whatever is still open missed the deadline
+      connectionsOf(pool._allConnections).forEach((connection) => connection.destroy());
+      const report = {
+        connectionSetting: this.connectionSettingName,
+        drained,
+        rolledBack,
+        duration: Date.now() - start,
+      };
+      this.logEvent(drained ? "info" : "warn", "shutdown", { phase: "closed", ...report });
+      return report;
+    };
+    state.closing = state.closing ?? drain();
+    return state.closing;
+  }
+
+  /**
+   * Lists the sessions of this connection setting holding a pooled
+   * connection, oldest first, with their age in ms, last query and open
+   * transaction; `stack` is the acquisition stack when leak detection is on.
+   * @returns {Array<{sessionId: string, threadId: number, acquiredAt: string, age: number, lastQuery: string, lastQueryAt: string, transaction: ?string, stack: string}>}
+   */
+  listHeldSessions() {
+    const now = Date.now();
+    return [...(poolState(this.pool).sessions ?? [])]
+      .filter((session) => sessionHolds.has(session))
+      .map((session) => heldSession(session, sessionHolds.get(session), now))
+      .sort((first, second) => second.age - first.age);
+  }
+
+  /**
+   * Reports the sessions holding a connection for `leakDetectionThreshold`
+   * ms or more as "connectionLeak" warnings, once each. With
+   * `leakDetectionAction: "release"` their connection is also destroyed,
+   * which frees the pool slot and rolls back any open transaction; the
+   * leaking session can no longer run queries.
+   * @param {Object} [pool] - Pool to check
+   */
+  detectLeaks(pool = this.pool) {
+    const now = Date.now();
+    const state = poolState(pool);
+    for (const session of [...(state.sessions ?? [])]) {
+      const hold = sessionHolds.get(session);
+      if (!hold || hold.reported || now - hold.acquiredAt < this.leakDetectionThreshold) {
+        continue;
+      }
+      hold.reported = true;
+      const release = this.leakDetectionAction === "release";
+      session.logEvent("warn", "connectionLeak", {
+        ...heldSession(session, hold, now),
+        threshold: this.leakDetectionThreshold,
+        released: release,
+      });
+      if (release) {
+        session.discardConnection(pool);
+      }
+    }
+  }
+
+  /**
+   * Destroys the connection of this session without waiting for its running
+   * query; the server rolls back the open transaction, if any.
+   * @param {Object} [pool] - Pool the connection belongs to
+   */
+  discardConnection(pool = this.pool) {
+    const connection = this.connection;
+    poolState(pool).sessions?.delete(this);
+    sessionHolds.delete(this);
+    transactionWrites.delete(this);
+    this.connection = null;
+    this.transaction = null;
+    this.savepoints = [];
+    delete this.datasource.sessions[this.sessionId];
+    this.poolMetrics(pool).recordRelease();
+    connection.destroy();
+  }
+
+  /**
+   * Emits a structured log event to the `logger` of the connection setting
+   * when `level` reaches `logLevel` ("info" by default).
+   * @param {string} level - "debug", "info", "warn" or "error"
+   * @param {string} event - Event name
+   * @param {Object} [fields] - Event details
+   */
+  logEvent(level, event, fields = {}) {
+    if (logLevels[level] < logLevels[this.logLevel ?? "info"]) {
+      return;
+    }
+    try {
+      emitLogEvent(this.logger, {
+        level,
+        event,
+        time: new Date().toISOString(),
+        sessionId: this.sessionId,
+        connectionSetting: this.connectionSettingName,
+        ...fields,
+      });
+    } catch (loggerError) {
+      console.error("MariaDB logger failed:", loggerError);
+    }
+  }
+
+  /**
+   * Logs a completed query at debug level, and again as a "slowQuery"
+   * warning when it took at least `slowQueryThreshold` ms. Parameters are
+   * redacted with the `redact` rules.
+   */
+  logQuery(command, params, response, fields = {}) {
+    const slow =
+      this.slowQueryThreshold > 0 && response.executionTime >= this.slowQueryThreshold;
+    const level = response.error ? "warn" : "debug";
+    if (!slow && logLevels[level] < logLevels[this.logLevel ?? "info"]) {
+      return;
+    }
+    const { results } = response;
+    const details = {
+      query: command,
+      params: redactParams(command, params, this.redact),
+      duration: response.executionTime,
+      rows: Array.isArray(results) ? results.length : undefined,
+      affectedRows: results?.affectedRows,
+      error: errorDetails(response.error),
+      ...fields,
+    };
+    this.logEvent(level, "query", details);
+    if (slow) {
+      this.logEvent("warn", "slowQuery", { ...details, threshold: this.slowQueryThreshold });
+    }
+  }
+
+  /**
+   * Standard `db.*` span attributes of this connection setting, plus the
+   * statement ones when a command is given.
+   * @param {string} [command] - SQL command
+   * @returns {Object}
+   */
+  spanAttributes(command) {
+    return {
+      "db.system": "mariadb",
+      "db.name": this.database,
+      "db.user": this.user,
+      "server.address": this.host,
+      "server.port": this.port,
+      "db.mariadb.connection_setting": this.connectionSettingName,
+      "db.mariadb.session": this.sessionId,
+      ...(command !== undefined && {
+        "db.statement": command,
+        "db.operation": statementOperation(command),
+        "db.sql.table": statementTable(command),
+      }),
+    };
+  }
+
+  transactionSpanAttributes(name, savepoint) {
+    return {
+      ...this.spanAttributes(),
+      "db.mariadb.transaction": name,
+      "db.mariadb.savepoint": savepoint,
+    };
   }
 
   async nativeConnect(callback) {
@@ -32,113 +742,1659 @@ export class MariaDB extends SQLDBConnection {
     const MariaDBpool = this.pool;
     this.connection = this.connection ?? null;
     if (!this.connection) {
+      assertAccepting(MariaDBpool);
+      const stack =
+        this.leakDetectionThreshold > 0 ? new Error("Session connection acquired").stack : undefined;
       const dbConn = this;
-      this.connection = await new Promise((resolve, reject) => {
-        MariaDBpool.getConnection((err, conn) => {
-          console.log("Connecting MariaDB " + this.sessionId);
-          if (err) {
-            console.error("Error getting connection:", err);
-            return reject(err);
-          }
-          conn.on("end", () => {
-            delete dbConn.datasource.sessions[sessionId];
+      const metrics = this.poolMetrics();
+      const start = Date.now();
+      const connect = () =>
+        new Promise((resolve, reject) => {
+          MariaDBpool.getConnection((err, conn) => {
+            metrics.recordAcquire(Date.now() - start, err);
+            if (err) {
+              this.logEvent("error", "connect", {
+                duration: Date.now() - start,
+                error: errorDetails(err),
+              });
+              return reject(err);
+            }
+            this.logEvent("info", "connect", {
+              duration: Date.now() - start,
+              threadId: conn.threadId,
+            });
+            conn.on("end", () => {
+              if (dbConn.connection === conn || !dbConn.connection) {
+                delete dbConn.datasource.sessions[sessionId];
+                poolState(MariaDBpool).sessions?.delete(dbConn);
+              }
+            });
+            callback(err);
+            resolve(conn);
           });
-          callback(err);
-          resolve(conn);
         });
-      });
+      this.connection = await withSpan(
+        this.tracer,
+        "mariadb.connect",
+        this.spanAttributes(),
+        async (span) => {
+          await this.applyCredentials(MariaDBpool);
+          const conn = await connect().catch(async (error) => {
+            if (!this.credentials || error.code !== "ER_ACCESS_DENIED_ERROR") {
+              throw error;
+            }
+            // the password may have rotated before the provider said it expires
+            await this.applyCredentials(MariaDBpool, true);
+            return await connect();
+          });
+          span?.setAttribute("db.mariadb.thread_id", conn.threadId);
+          try {
+            await this.prepareSession(conn);
+          } catch (initError) {
+            conn.destroy();
+            throw initError;
+          }
+          return conn;
+        }
+      );
+      const state = poolState(MariaDBpool);
+      state.sessions = state.sessions ?? new Set();
+      state.sessions.add(this);
+      sessionHolds.set(this, { acquiredAt: Date.now(), stack });
+    }
+  }
+
+  /**
+   * Replaces a session connection lost by the driver with a new pooled one,
+   * keeping the session registered on the datasource.
+   * @param {Object} session - Datasource session entry to restore
+   */
+  async reconnect(session) {
+    const lost = this.connection;
+    this.connection = null;
+    lost?.destroy();
+    await this.nativeConnect(() => {});
+    if (session) {
+      this.datasource.sessions[this.sessionId] = session;
     }
   }
 
   nativeDisconnect() {
-    this.connection.release((releaseError) => {
-      if (releaseError) {
-        console.error("Error releasing connection:", releaseError);
-        return;
+    for (const lock of this.locks ?? []) {
+      lock.release();
+    }
+    if (!this.connection) {
+      // already released by the leak detector
+      return;
+    }
+    this.poolMetrics().recordRelease();
+    this.logEvent("info", "release", { threadId: this.connection.threadId });
+    poolState(this.pool).sessions?.delete(this);
+    sessionHolds.delete(this);
+    const connection = this.connection;
+    this.recycleConnection(connection, (discard) => {
+      if (discard) {
+        connection.destroy();
+      } else {
+        connection.release();
       }
       delete this.datasource.sessions[this.sessionId];
     });
   }
 
-  startTransaction(name) {
-    const thisInstance = this;
-    if ( !this.transaction) {
-      console.log("Starting transaction: " + name + ' on ' + this.sessionId);
-      this.connection.beginTransaction((transactionError) => {
-        if (transactionError) {
-          throw new Error("Error on starting transaction: " + transactionError);
+  /**
+   * Runs the session initialization once per physical connection, before
+   * its first use and again after each reset: the session `time_zone`
+   * matching `timezone`, then `initSession` (statements, or a function
+   * receiving `query(sql, params)` and the connection).
+   * Concurrent callers share the same run.
+   * @param {Object} connection - Pooled connection
+   */
+  async prepareSession(connection) {
+    const timezone = sessionTimezone(this.timezone);
+    if (!timezone && !this.initSession) {
+      return;
+    }
+    if (!initializedSessions.has(connection)) {
+      const query = (sql, params = []) =>
+        new Promise((resolve, reject) => {
+          connection.query(sql, params, (error, results) =>
+            error ? reject(error) : resolve(results)
+          );
+        });
+      const run = async () => {
+        if (timezone) {
+          await query("SET time_zone = ?", [timezone]);
         }
-        thisInstance.transaction = name;
+        if (typeof this.initSession === "function") {
+          await this.initSession(query, connection);
+        } else {
+          for (const statement of [this.initSession ?? []].flat()) {
+            await query(statement);
+          }
+        }
+      };
+      initializedSessions.set(connection, run());
+    }
+    try {
+      await initializedSessions.get(connection);
+    } catch (error) {
+      initializedSessions.delete(connection);
+      this.logEvent("error", "initSession", {
+        threadId: connection.threadId,
+        error: errorDetails(error),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Clears the session state left by the borrower before a connection goes
+   * back to the pool: `COM_RESET_CONNECTION` with mysql2, `COM_CHANGE_USER`
+   * with the legacy driver. The next borrower gets a freshly initialized
+   * session. Calls `release(discard)`, discarding connections that could not
+   * be reset, or opened before the credentials rotated; `resetSession: false`
+   * skips the reset.
+   * @param {Object} connection - Pooled connection
+   * @param {function(boolean)} release
+   */
+  recycleConnection(connection, release) {
+    const generation = connectionGenerations.get(connection);
+    if (generation !== undefined && generation !== (poolState(this.pool).credentialsGeneration ?? 0)) {
+      // opened with rotated credentials
+      return release(true);
+    }
+    if (this.resetSession === false) {
+      return release(false);
+    }
+    initializedSessions.delete(connection);
+    connectionSchemas.delete(connection);
+    const done = (error) => {
+      if (error) {
+        this.logEvent("warn", "reset", {
+          threadId: connection.threadId,
+          error: errorDetails(error),
+        });
+      }
+      release(Boolean(error));
+    };
+    if (typeof connection.reset === "function") {
+      connection.reset(done);
+    } else {
+      connection.changeUser({}, done);
+    }
+  }
+
+  async startTransaction(name) {
+    return await withSpan(
+      this.tracer,
+      "mariadb.transaction.begin",
+      this.transactionSpanAttributes(name, Boolean(this.transaction)),
+      () => this.openTransaction(name)
+    );
+  }
+
+  async openTransaction(name) {
+    this.savepoints = this.savepoints ?? [];
+    if (!this.transaction) {
+      const start = Date.now();
+      await new Promise((resolve, reject) => {
+        this.connection.beginTransaction((transactionError) => {
+          if (transactionError) {
+            return reject(
+              new Error("Error on starting transaction: " + transactionError, {
+                cause: transactionError,
+              })
+            );
+          }
+          resolve();
+        });
       });
+      this.transaction = name;
+      this.savepoints = [];
+      this.logEvent("info", "transaction", {
+        action: "begin",
+        name,
+        duration: Date.now() - start,
+      });
+      return;
+    }
+    if (this.transaction === name || this.savepoints.includes(name)) {
+      throw new Error(
+        'Transaction "' + name + '" is already open on ' + this.sessionId
+      );
     }
+    const start = Date.now();
+    await nativeStatement(
+      this.connection,
+      "SAVEPOINT " + mysql.escapeId(name),
+      'Error on creating savepoint "' + name + '": '
+    );
+    this.savepoints.push(name);
+    this.logEvent("info", "transaction", {
+      action: "savepoint",
+      name,
+      duration: Date.now() - start,
+    });
+  }
+
+  async rollback(name) {
+    return await withSpan(
+      this.tracer,
+      "mariadb.transaction.rollback",
+      this.transactionSpanAttributes(name, this.transaction !== name),
+      () => this.rollbackTransaction(name)
+    );
   }
 
-  rollback(name) {
-    if (this.transaction === name) {
-      this.connection.rollback();
-      this.transaction = null;
+  async rollbackTransaction(name) {
+    this.savepoints = this.savepoints ?? [];
+    const start = Date.now();
+    if (this.transaction && this.transaction === name) {
+      transactionWrites.delete(this);
+      await new Promise((resolve, reject) => {
+        this.connection.rollback((rollbackError) => {
+          this.transaction = null;
+          this.savepoints = [];
+          if (rollbackError) {
+            return reject(
+              new Error(
+                'Error on rolling back transaction "' + name + '": ' + rollbackError,
+                { cause: rollbackError }
+              )
+            );
+          }
+          resolve();
+        });
+      });
+      this.logEvent("info", "transaction", {
+        action: "rollback",
+        name,
+        duration: Date.now() - start,
+      });
+      return;
+    }
+    const index = this.savepoints.indexOf(name);
+    if (index < 0) {
+      throw new Error('No open transaction named "' + name + '" on ' + this.sessionId);
     }
+    const errorPrefix = 'Error on rolling back savepoint "' + name + '": ';
+    await nativeStatement(this.connection, "ROLLBACK TO SAVEPOINT " + mysql.escapeId(name), errorPrefix);
+    await nativeStatement(this.connection, "RELEASE SAVEPOINT " + mysql.escapeId(name), errorPrefix);
+    this.savepoints.length = index;
+    this.logEvent("info", "transaction", {
+      action: "rollback",
+      name,
+      savepoint: true,
+      duration: Date.now() - start,
+    });
   }
 
-  commit(name) {
-    if (this.transaction === name) {
-      this.connection.commit((commitError) => {
-        if (commitError) {
-          throw new Error(
-            'Error on committing transaction "' + name + '": ' + commitError
+  async commit(name) {
+    return await withSpan(
+      this.tracer,
+      "mariadb.transaction.commit",
+      this.transactionSpanAttributes(name, this.transaction !== name),
+      () => this.commitTransaction(name)
+    );
+  }
+
+  async commitTransaction(name) {
+    this.savepoints = this.savepoints ?? [];
+    const start = Date.now();
+    const innermost = this.savepoints[this.savepoints.length - 1];
+    if (this.transaction && this.transaction === name) {
+      if (innermost) {
+        throw new Error(
+          'Cannot commit transaction "' + name + '": nested transaction "' + innermost + '" is still open'
+        );
+      }
+      await new Promise((resolve, reject) => {
+        this.connection.commit((commitError) => {
+          if (commitError) {
+            return reject(
+              new Error('Error on committing transaction "' + name + '": ' + commitError, {
+                cause: commitError,
+              })
+            );
+          }
+          this.transaction = null;
+          resolve();
+        });
+      });
+      const written = transactionWrites.get(this);
+      if (written) {
+        transactionWrites.delete(this);
+        invalidateTables(this.datasource, [...written]);
+      }
+      this.logEvent("info", "transaction", {
+        action: "commit",
+        name,
+        duration: Date.now() - start,
+      });
+      return;
+    }
+    if (!this.savepoints.includes(name)) {
+      throw new Error('No open transaction named "' + name + '" on ' + this.sessionId);
+    }
+    if (innermost !== name) {
+      throw new Error(
+        'Cannot commit transaction "' + name + '": nested transaction "' + innermost + '" is still open'
+      );
+    }
+    await nativeStatement(
+      this.connection,
+      "RELEASE SAVEPOINT " + mysql.escapeId(name),
+      'Error on committing savepoint "' + name + '": '
+    );
+    this.savepoints.pop();
+    this.logEvent("info", "transaction", {
+      action: "commit",
+      name,
+      savepoint: true,
+      duration: Date.now() - start,
+    });
+  }
+
+  /**
+   * Runs `fn` inside the named transaction: the outermost name opens a real
+   * transaction, nested names become savepoints.
+   * Commits when `fn` resolves, rolls back and rethrows when it throws.
+   * When the `retry` policy allows it, the outermost call replays the whole
+   * body after a retryable failure (deadlock, lock wait timeout, lost connection).
+   * @param {string} name - Transaction or savepoint name
+   * @param {function(MariaDB, number): Promise<*>} fn - Transaction body, receives the attempt number
+   * @returns {Promise<*>} - The value returned by `fn`
+   */
+  async withTransaction(name, fn) {
+    const policy = this.transaction ? null : retryPolicy(this.retry);
+    const session = this.datasource.sessions?.[this.sessionId];
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (policy) {
+          this.transactionAttempt = attempt;
+        }
+        return await this.runTransaction(name, fn, attempt);
+      } catch (error) {
+        if (attempt >= (policy?.maxAttempts ?? 1) || !isRetryable(policy, error)) {
+          throw error;
+        }
+        const delay = retryDelay(policy, attempt);
+        this.logEvent("warn", "transaction", {
+          action: "retry",
+          name,
+          attempt,
+          code: driverError(error).code,
+          delay,
+        });
+        if (driverError(error).fatal) {
+          await this.reconnect(session);
+        }
+        await sleep(delay);
+      } finally {
+        if (policy) {
+          this.transactionAttempt = undefined;
+        }
+      }
+    }
+  }
+
+  async runTransaction(name, fn, attempt) {
+    await this.startTransaction(name);
+    try {
+      const result = await fn(this, attempt);
+      await this.commit(name);
+      return result;
+    } catch (error) {
+      if (this.transaction === name || this.savepoints?.includes(name)) {
+        try {
+          await this.rollback(name);
+        } catch (rollbackError) {
+          this.logEvent("error", "transaction", {
+            action: "rollback",
+            name,
+            error: errorDetails(rollbackError),
+          });
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Takes a named advisory lock (`GET_LOCK`), shared by every client of the
+   * server. The lock lives on a dedicated primary connection kept out of the
+   * pool until `release()`; locks still held are released when the session
+   * disconnects, and by the server if that connection drops.
+   * @param {string} name - Lock name
+   * @param {Object} [options]
+   * @param {number} [options.timeout=lockTimeout] - Milliseconds to wait: 0 (default) fails at once, negative waits forever
+   * @returns {Promise<{name: string, threadId: number, release: function(): Promise<boolean>}>}
+   * @throws {LockNotAcquiredError} With the `holderThreadId` when the lock is held elsewhere
+   */
+  async acquireLock(name, options = {}) {
+    return await withSpan(
+      this.tracer,
+      "mariadb.lock",
+      { ...this.spanAttributes(), "db.mariadb.lock": name },
+      () => this.takeLock(name, options)
+    );
+  }
+
+  async takeLock(name, { timeout = this.lockTimeout ?? 0 } = {}) {
+    const start = Date.now();
+    const lease = await this.borrowConnection(undefined, { primary: true, dedicated: true });
+    const { connection } = lease;
+    const errorPrefix = 'Error on acquiring lock "' + name + '": ';
+    let holderThreadId;
+    try {
+      const [{ acquired }] = await nativeStatement(
+        connection,
+        mysql.format("SELECT GET_LOCK(?, ?) AS acquired", [name, timeout < 0 ? -1 : timeout / 1000]),
+        errorPrefix
+      );
+      // typeCast may read the result as a string or a BigInt
+      if (Number(acquired) !== 1) {
+        const [holder] = await nativeStatement(
+          connection,
+          mysql.format("SELECT IS_USED_LOCK(?) AS holderThreadId", [name]),
+          errorPrefix
+        );
+        holderThreadId = lockThreadId(holder.holderThreadId);
+      }
+    } catch (error) {
+      lease.release(error, true);
+      throw error;
+    }
+    if (holderThreadId !== undefined) {
+      lease.release();
+      this.logEvent("warn", "lockContention", { lock: name, holderThreadId, timeout });
+      throw new LockNotAcquiredError(
+        'Lock "' + name + '" ' +
+          (holderThreadId === null ? "could not be acquired" : "is held by thread " + holderThreadId),
+        { lock: name, holderThreadId, timeout }
+      );
+    }
+    this.logEvent("info", "lock", {
+      lock: name,
+      threadId: connection.threadId,
+      duration: Date.now() - start,
+    });
+    const acquiredAt = Date.now();
+    let released = null;
+    const lock = {
+      name,
+      threadId: connection.threadId,
+      release: () => (released = released ?? unlock()),
+    };
+    const unlock = async () => {
+      this.locks.delete(lock);
+      this.logEvent("info", "unlock", {
+        lock: name,
+        threadId: connection.threadId,
+        held: Date.now() - acquiredAt,
+      });
+      try {
+        const [{ freed }] = await nativeStatement(
+          connection,
+          mysql.format("SELECT RELEASE_LOCK(?) AS freed", [name]),
+          'Error on releasing lock "' + name + '": '
+        );
+        lease.release();
+        return Number(freed) === 1;
+      } catch (error) {
+        // closing the connection frees the lock anyway
+        lease.release(error, true);
+        return false;
+      }
+    };
+    this.locks = this.locks ?? new Set();
+    this.locks.add(lock);
+    return lock;
+  }
+
+  /**
+   * Runs `fn` holding the named advisory lock, released when `fn` settles.
+   * @param {string} name - Lock name
+   * @param {function(Object): Promise<*>} fn - Receives the lock
+   * @param {Object} [options] - Same as `acquireLock`
+   * @returns {Promise<*>} - The value returned by `fn`
+   */
+  async withLock(name, fn, options) {
+    const lock = await this.acquireLock(name, options);
+    try {
+      return await fn(lock);
+    } finally {
+      await lock.release();
+    }
+  }
+
+  /**
+   * Thread id of the connection holding the named lock (`IS_USED_LOCK`),
+   * `null` when it is free.
+   * @param {string} name - Lock name
+   * @returns {Promise<?number>}
+   */
+  async lockHolder(name) {
+    const { results } = await this.executeNativeQueryAsync(
+      "SELECT IS_USED_LOCK(?) AS holderThreadId",
+      [name],
+      { primary: true }
+    );
+    return lockThreadId(results[0].holderThreadId);
+  }
+
+  /**
+   * Resolves the credentials of new physical connections with the
+   * `credentials` provider when they are missing, expired or `force`d.
+   * When they change, the pools (primary and replicas) open new connections
+   * with them: idle connections are closed at once, busy ones discarded when
+   * released, and the synchronous worker restarted. Concurrent callers share
+   * the same refresh.
+   * @param {Object} pool - Primary pool of the connection setting
+   * @param {boolean} [force] - Asks the provider even if the credentials are still valid
+   */
+  async applyCredentials(pool, force = false) {
+    if (typeof this.credentials !== "function") {
+      return;
+    }
+    const state = poolState(pool);
+    if (!force && state.credentials?.expiresAt > Date.now()) {
+      return;
+    }
+    const refresh = async () => {
+      const previous = state.credentials;
+      const credentials = await resolveCredentials(this.credentials, {
+        connectionSetting: this.connectionSettingName,
+        host: this.host,
+        user: this.user,
+      });
+      const pools = [pool, ...(state.replicaSet?.replicas.map((replica) => replica.pool) ?? [])];
+      for (const target of pools) {
+        Object.assign(target.config.connectionConfig, {
+          user: credentials.user,
+          password: credentials.password,
+        });
+      }
+      state.credentials = credentials;
+      if (!previous || (previous.user === credentials.user && previous.password === credentials.password)) {
+        return;
+      }
+      state.credentialsGeneration = (state.credentialsGeneration ?? 0) + 1;
+      let closed = 0;
+      for (const target of pools) {
+        for (const connection of connectionsOf(target._freeConnections)) {
+          connection.destroy();
+          closed++;
+        }
+      }
+      await terminateSyncQueryWorker(this.datasource, this.connectionSettingName);
+      this.logEvent("info", "credentials", {
+        action: "rotate",
+        user: credentials.user,
+        generation: state.credentialsGeneration,
+        closedIdle: closed,
+      });
+    };
+    state.credentialsRefresh =
+      state.credentialsRefresh ??
+      refresh().finally(() => {
+        state.credentialsRefresh = null;
+      });
+    await state.credentialsRefresh;
+  }
+
+  /**
+   * Asks the `credentials` provider for new credentials now, e.g. when the
+   * application is notified of a rotation, and recycles the pool connections
+   * if they changed.
+   */
+  async rotateCredentials() {
+    await this.applyCredentials(this.pool, true);
+  }
+
+  /**
+   * Schema of the current tenant: the one pinned with `useTenant`, otherwise
+   * what the `tenant` resolver returns for the current request context and
+   * session. Returns a promise when the resolver is asynchronous.
+   * @returns {string|undefined|Promise<string|undefined>}
+   */
+  resolveTenant() {
+    if (this.tenantSchema || typeof this.tenant !== "function") {
+      return this.tenantSchema;
+    }
+    return this.tenant({
+      context: currentRequestContext(),
+      session: this.datasource.sessions?.[this.sessionId],
+      sessionId: this.sessionId,
+      connectionSetting: this.connectionSettingName,
+    });
+  }
+
+  /**
+   * Checks a schema against the `tenantSchemas` allow-list (array, RegExp or
+   * predicate). The default `database` is always allowed.
+   * @param {string} schema
+   */
+  assertTenantSchema(schema) {
+    const allowed = this.tenantSchemas;
+    if (!allowed || schema === this.database) {
+      return;
+    }
+    const accepted =
+      typeof allowed === "function"
+        ? allowed(schema)
+        : allowed instanceof RegExp
+        ? allowed.test(schema)
+        : allowed.includes(schema);
+    if (!accepted) {
+      throw new TenantAccessError('Schema "' + schema + '" is not an allowed tenant', {
+        schema,
+      });
+    }
+  }
+
+  /**
+   * Pins this session to a tenant schema, overriding the resolver.
+   * Requires tenant routing (`tenant` setting).
+   * @param {?string} schema - Tenant schema, `null` to go back to the resolver
+   */
+  useTenant(schema) {
+    if (!this.tenant) {
+      throw new Error(
+        'Tenant routing is not enabled for connection setting "' + this.connectionSettingName + '"'
+      );
+    }
+    if (schema) {
+      this.assertTenantSchema(schema);
+    }
+    this.tenantSchema = schema ?? undefined;
+  }
+
+  /**
+   * Points a connection at the schema of the current tenant (the default
+   * `database` when none is resolved) with `USE`, only when it is not there
+   * already. Cached mysql2 prepared statements are closed on a switch, since
+   * they stay bound to the schema they were prepared in.
+   * @param {Object} connection - Pooled connection
+   */
+  async routeTenant(connection) {
+    if (!this.tenant) {
+      return;
+    }
+    const schema = (await this.resolveTenant()) || this.database;
+    if (!schema) {
+      throw new TenantAccessError("No tenant schema resolved and no default database");
+    }
+    if (connectionSchemas.get(connection) === schema) {
+      return;
+    }
+    this.assertTenantSchema(schema);
+    connectionSchemas.delete(connection);
+    await nativeStatement(
+      connection,
+      "USE " + mysql.escapeId(schema),
+      'Error on switching to schema "' + schema + '": '
+    );
+    closePreparedStatements(connection);
+    connectionSchemas.set(connection, schema);
+  }
+
+  /**
+   * Picks the connection a statement runs on: a replica for read-only
+   * statements outside a transaction when replicas are configured, otherwise
+   * the session connection (or a dedicated pooled one when requested).
+   * @param {string} command - SQL command
+   * @param {Object} [options]
+   * @param {boolean} [options.primary] - Forces the primary (read-your-writes)
+   * @param {boolean} [options.dedicated] - Borrows a pooled connection instead of the session one
+   * @returns {Promise<{connection: Object, pool: Object, shared: boolean, replica: number, release: function(Error, boolean)}>}
+   */
+  async leaseConnection(command, options = {}) {
+    const lease = await this.borrowConnection(command, options);
+    try {
+      await this.routeTenant(lease.connection);
+    } catch (error) {
+      lease.release(error);
+      throw error;
+    }
+    return lease;
+  }
+
+  async borrowConnection(command, { primary = false, dedicated = false } = {}) {
+    await this.applyCredentials(this.pool);
+    const metrics = this.poolMetrics();
+    if (this.replicaSet && !this.transaction && !primary && isReadOnlyStatement(command)) {
+      assertAccepting(this.pool);
+      const start = Date.now();
+      const borrowed = await withSpan(
+        this.tracer,
+        "mariadb.acquire",
+        { ...this.spanAttributes(), "db.mariadb.replica": true },
+        () => this.replicaSet.acquire()
+      );
+      if (borrowed) {
+        metrics.recordAcquire(Date.now() - start);
+        try {
+          await this.prepareSession(borrowed.connection);
+        } catch (initError) {
+          this.replicaSet.release(borrowed, initError, true);
+          throw initError;
+        }
+        this.logEvent("debug", "acquire", {
+          replica: borrowed.replica.index,
+          threadId: borrowed.connection.threadId,
+          duration: Date.now() - start,
+        });
+        return {
+          connection: borrowed.connection,
+          pool: borrowed.replica.pool,
+          shared: false,
+          replica: borrowed.replica.index,
+          release: (error, discard) => {
+            metrics.recordRelease();
+            this.logEvent("debug", "release", {
+              replica: borrowed.replica.index,
+              threadId: borrowed.connection.threadId,
+              discarded: Boolean(error?.fatal || discard),
+            });
+            if (error?.fatal || discard) {
+              return this.replicaSet.release(borrowed, error, discard);
+            }
+            this.recycleConnection(borrowed.connection, (failed) =>
+              this.replicaSet.release(borrowed, null, failed)
+            );
+          },
+        };
+      }
+    }
+    if (dedicated) {
+      const start = Date.now();
+      const connection = await withSpan(
+        this.tracer,
+        "mariadb.acquire",
+        this.spanAttributes(),
+        () => acquire(this.pool, metrics)
+      );
+      try {
+        await this.prepareSession(connection);
+      } catch (initError) {
+        connection.destroy();
+        throw initError;
+      }
+      this.logEvent("debug", "acquire", {
+        threadId: connection.threadId,
+        duration: Date.now() - start,
+      });
+      return {
+        connection,
+        pool: this.pool,
+        shared: false,
+        release: (error, discard) => {
+          metrics.recordRelease();
+          this.logEvent("debug", "release", {
+            threadId: connection.threadId,
+            discarded: Boolean(error?.fatal || discard),
+          });
+          if (error?.fatal || discard) {
+            return connection.destroy();
+          }
+          this.recycleConnection(connection, (failed) =>
+            failed ? connection.destroy() : connection.release()
           );
-        } else this.transaction = null;
+        },
+      };
+    }
+    if (!this.connection) {
+      throw new Error("Session " + this.sessionId + " is not connected");
+    }
+    return {
+      connection: this.connection,
+      pool: this.pool,
+      shared: true,
+      release: () => {},
+    };
+  }
+
+  async executeNativeQueryAsync(command, params, options = {}) {
+    ({ command, params } = bindParameters(command, params));
+    // `statement` stands for the command in logs and spans (inlined values left out)
+    const statement = options.statement ?? command;
+    const hold = sessionHolds.get(this);
+    if (hold) {
+      hold.lastQuery = statement;
+      hold.lastQueryAt = Date.now();
+    }
+    if (options.cache && this.resultCache && !this.transaction && isReadOnlyStatement(command)) {
+      return await this.cachedQuery(command, params, options);
+    }
+    const table = statementTable(command);
+    const name = [statementOperation(command), table].filter(Boolean).join(" ");
+    const query = withSpan(
+      this.tracer,
+      name || "mariadb.query",
+      this.spanAttributes(statement),
+      async (span) => {
+        const response = await this.retryNativeQuery(command, params, options);
+        this.invalidateCache(command);
+        if (this.explain && options.explain !== false && !this.datasource.aReS.isProduction) {
+          response.explain = await this.explainQuery(command, params, options);
+        }
+        const { results } = response;
+        span?.setAttributes({
+          "db.rows": Array.isArray(results) ? results.length : results?.affectedRows,
+          "db.mariadb.replica": response.replica,
+          "db.mariadb.attempts": response.attempts,
+        });
+        return response;
+      }
+    );
+    return await trackInFlight(this.pool, query);
+  }
+
+  /**
+   * Serves a read-only query from the result cache (`resultCache` setting,
+   * `cache` query option), running and storing it on a miss. Entries are
+   * keyed by statement, parameters, connection setting and schema, and
+   * depend on the versions of the tables read, so writes through the same
+   * datasource make them stale. Store failures only cost a miss.
+   * @returns {Promise<Object>} - The query response, with `cache: {hit, ttl, hits, misses}`
+   */
+  async cachedQuery(command, params, options) {
+    const settings = this.resultCache === true ? {} : this.resultCache;
+    const { ttl = settings.ttl ?? 60000 } =
+      typeof options.cache === "number" ? { ttl: options.cache } : options.cache;
+    const state = poolState(this.pool);
+    state.resultCache =
+      state.resultCache ?? settings.store ?? new LruCacheStore({ maxEntries: settings.maxEntries });
+    state.cacheStats = state.cacheStats ?? { hits: 0, misses: 0 };
+    const stats = state.cacheStats;
+    const key = resultCacheKey(this.datasource, {
+      connectionSetting: this.connectionSettingName,
+      schema: this.tenant ? (await this.resolveTenant()) || this.database : this.database,
+      command,
+      params,
+      tables: statementTables(command),
+    });
+    const date = new Date();
+    let cached;
+    try {
+      cached = await state.resultCache.get(key);
+    } catch (storeError) {
+      this.logEvent("warn", "cache", { action: "get", error: errorDetails(storeError) });
+    }
+    if (cached) {
+      stats.hits++;
+      return {
+        executionTime: Date.now() - date.getTime(),
+        executionDateTime: date,
+        ...(!this.datasource.aReS.isProduction && { query: command, params }),
+        ...cached,
+        error: null,
+        cache: { hit: true, ttl, hits: stats.hits, misses: stats.misses },
+      };
+    }
+    stats.misses++;
+    const response = await this.executeNativeQueryAsync(command, params, {
+      ...options,
+      cache: false,
+    });
+    const { fields, results, resultSets } = response;
+    try {
+      await state.resultCache.set(key, { fields, results, resultSets }, ttl);
+    } catch (storeError) {
+      this.logEvent("warn", "cache", { action: "set", error: errorDetails(storeError) });
+    }
+    response.cache = { hit: false, ttl, hits: stats.hits, misses: stats.misses };
+    return response;
+  }
+
+  /**
+   * Makes the cached results reading the tables written by `command` stale,
+   * again at commit when it runs inside a transaction (other sessions may
+   * cache the old rows meanwhile). Writes to unknown tables invalidate
+   * every cached result of the datasource.
+   * @param {string} command - SQL command
+   */
+  invalidateCache(command) {
+    const tables = writtenTables(command) ?? ["*"];
+    if (!tables.length) {
+      return;
+    }
+    invalidateTables(this.datasource, tables);
+    if (this.transaction) {
+      const pending = transactionWrites.get(this) ?? new Set();
+      tables.forEach((table) => pending.add(table));
+      transactionWrites.set(this, pending);
+    }
+  }
+
+  /**
+   * Diagnostic plan of a statement (`explain` setting, non-production only):
+   * `EXPLAIN FORMAT=JSON`, or `ANALYZE FORMAT=JSON` for SELECT when the
+   * setting is "analyze", with warnings for full table scans, filesorts,
+   * temporary tables and unused indexes. Never throws.
+   * @returns {Promise<{statement: string, plan: Object, warnings: Array}|{statement: string, error: Object}|undefined>}
+   */
+  async explainQuery(command, params, { primary, statement: logged = command } = {}) {
+    const statement = explainStatement(command, this.explain);
+    if (!statement) {
+      return undefined;
+    }
+    try {
+      const { results } = await this.retryNativeQuery(statement, params, {
+        primary,
+        explain: false,
+        statement: explainStatement(logged, this.explain),
       });
+      const plan = JSON.parse(Object.values(results[0])[0]);
+      const warnings = planWarnings(plan);
+      if (warnings.length) {
+        this.logEvent("warn", "explain", { query: logged, warnings });
+      }
+      return { statement, plan, warnings };
+    } catch (failure) {
+      return { statement, error: errorDetails(failure?.error ?? failure) };
     }
   }
 
-  async executeNativeQueryAsync(command, params ) {
+  async retryNativeQuery(command, params, options) {
     const date = new Date();
     const response = { executionTime: date.getTime(), executionDateTime: date };
-    const connectionHandler = this;
     if (!this.datasource.aReS.isProduction) {
       response.query = command;
       response.params = params;
     }
-    return await new Promise(async (resolve, reject) => {
-        connectionHandler.connection.query(
-          command,
-          params,
-          (error, results, fields) => {
-            response.executionTime =
-              new Date().getTime() - response.executionTime;
-            response.fields = fields;
-            response.results = results;
-            response.error = error;
-  
-            if (error) {
-              reject(response);
-            } else {
-              resolve(response);
-            }
+    if (this.transactionAttempt) {
+      response.transactionAttempt = this.transactionAttempt;
+    }
+    const policy =
+      this.transaction || options.retry === false ? null : retryPolicy(this.retry);
+    const session = this.datasource.sessions?.[this.sessionId];
+    for (let attempt = 1; ; attempt++) {
+      // whether the attempt ran on the session connection
+      const lease = {};
+      try {
+        await this.runNativeQuery(command, params, options, response, lease);
+        if (policy) {
+          response.attempts = attempt;
+        }
+        return response;
+      } catch (failure) {
+        if (attempt >= (policy?.maxAttempts ?? 1) || !isRetryable(policy, failure)) {
+          if (policy) {
+            response.attempts = attempt;
           }
-        );
+          throw failure;
+        }
+        const delay = retryDelay(policy, attempt);
+        response.retries = response.retries ?? [];
+        const error = driverError(failure);
+        response.retries.push({ attempt, code: error.code, delay });
+        // dedicated and replica connections are discarded by their release
+        if (error.fatal && lease.shared) {
+          await this.reconnect(session);
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  async runNativeQuery(command, params, options, response, used = {}) {
+    const { timeout = this.queryTimeout, signal } = options;
+    if (signal?.aborted) {
+      response.cancelled = true;
+      response.error = interruptionError("cancelled", timeout);
+      throw response;
+    }
+    const serverTimeout =
+      timeout > 0 && this.queryTimeoutStrategy === "max_statement_time";
+    const start = new Date().getTime();
+    delete response.replica;
+    // the deadline and the signal also bound the wait for a connection
+    let interruptedBy = null;
+    let wake;
+    const interrupted = new Promise((resolve) => {
+      wake = resolve;
+    });
+    let onInterrupt = (reason) => {
+      interruptedBy = interruptedBy ?? reason;
+      wake(null);
+    };
+    const onAbort = () => onInterrupt("cancelled");
+    const timer = timeout > 0 ? setTimeout(() => onInterrupt("timeout"), timeout) : null;
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const stopWaiting = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const leasing = this.leaseConnection(command, options);
+    let lease;
+    try {
+      lease = await Promise.race([leasing, interrupted]);
+    } catch (error) {
+      stopWaiting();
+      throw error;
+    }
+    if (interruptedBy || signal?.aborted) {
+      stopWaiting();
+      // a connection acquired after the interruption goes back to the pool
+      if (lease) {
+        lease.release();
+      } else {
+        leasing.then((late) => late.release(), () => {});
+      }
+      const reason = interruptedBy ?? "cancelled";
+      response[reason === "timeout" ? "timedOut" : "cancelled"] = true;
+      response.executionTime = new Date().getTime() - start;
+      response.error = interruptionError(reason, timeout);
+      this.logQuery(options.statement ?? command, params, response);
+      throw response;
+    }
+    if (serverTimeout) {
+      // from here on the server enforces the timeout
+      clearTimeout(timer);
+    }
+    used.shared = lease.shared;
+    if (lease.replica !== undefined) {
+      response.replica = lease.replica;
+    }
+    const prefix = serverTimeout
+      ? "SET STATEMENT max_statement_time=" + timeout / 1000 + " FOR "
+      : "";
+    const statements = splitStatements(command);
+    const multiple = statements.length > 1;
+    // without the connection flag the statements are sent one at a time
+    const oneByOne = multiple && !this.multipleStatements && options.multipleStatements;
+    const sql = multiple && prefix
+      ? statements.map((entry) => prefix + entry.sql).join(";\n")
+      : prefix + command;
+    const method = options.prepared ? "execute" : "query";
+    const statement = options.infileStreamFactory
+      ? { sql, infileStreamFactory: options.infileStreamFactory }
+      : sql;
+    if (typeof lease.connection[method] !== "function") {
+      stopWaiting();
+      lease.release();
+      throw new Error(
+        'Prepared statements require the "mysql2" driver (connection setting "' +
+          this.connectionSettingName + '")'
+      );
+    }
+    return await new Promise((resolve, reject) => {
+      let settled = false;
+      let interruption = null;
+      const finish = (error, results, fields) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        response.executionTime = new Date().getTime() - start;
+        this.poolMetrics().recordQuery(response.executionTime, error);
+        response.fields = fields;
+        response.results = results;
+        response.error = classifyError(error);
+        this.logQuery(options.statement ?? command, params, response, {
+          threadId: lease.connection.threadId,
+          replica: lease.replica,
+        });
+        if (!error && (multiple || statementOperation(command) === "CALL")) {
+          response.resultSets = resultSets(statements, results, fields);
+        }
+
+        if (error) {
+          reject(response);
+        } else {
+          resolve(response);
+        }
+      };
+      const interrupt = (reason) => {
+        if (settled || interruption) {
+          return;
+        }
+        interruption = reason;
+        response[reason === "timeout" ? "timedOut" : "cancelled"] = true;
+        killQuery(lease).catch((killError) => {
+          this.logEvent("error", "kill", {
+            threadId: lease.connection.threadId,
+            error: errorDetails(killError),
+          });
+          if (!lease.shared) {
+            lease.connection.destroy();
+          }
+        });
+        finish(interruptionError(reason, timeout));
+      };
+      onInterrupt = interrupt;
+      const values = castParams(params, castSettings(this.typeCast), options.prepared, command);
+      const callback = (error, results, fields) => {
+        lease.release(error);
+        if (error?.code === "ER_STATEMENT_TIMEOUT") {
+          response.timedOut = true;
+          return finish(interruptionError("timeout", timeout, error));
+        }
+        finish(error, results, fields);
+      };
+      if (oneByOne) {
+        queryEach(lease.connection, method, statements, {
+          prefix,
+          values,
+          stopped: () => settled,
+        }, callback);
+      } else {
+        lease.connection[method](statement, values, callback);
+      }
     });
   }
-  executeQuerySync(command, params, callback) {
-    const date = new Date();
-    const response = { executionTime: date.getTime(), executionDateTime: date };
-    const logName = "executeQuerySync_" + response.executionTime;
-    asyncConsole.log(logName, "Waiting for query results:");
-    let wait = true;
-    this.connection.query(command, params, (error, results, fields) => {
-      wait = false;
-      response.fields = fields;
-      response.results = results;
-      response.error = error;
-      callback(response);
+
+  /**
+   * Runs a statement as a server-side prepared statement (`mysql2` driver only).
+   * Prepared statements are cached per physical connection; the cache is
+   * bounded by the `maxPreparedStatements` connection parameter.
+   * Accepts the same options as `executeNativeQueryAsync`.
+   * @param {string} command - SQL command
+   * @param {Array|Object} params - Positional parameters, or values of `:name` placeholders
+   * @param {Object} [options] - Query options
+   * @returns {Promise<Object>} - The query response
+   */
+  async executePreparedAsync(command, params, options = {}) {
+    return await this.executeNativeQueryAsync(command, params, {
+      ...options,
+      prepared: true,
     });
-    while (wait) {
-      asyncConsole.log(logName, ".....");
-      setTimeout(() => {}, 100);
+  }
+
+  /**
+   * Calls a stored procedure and collects its result sets and OUT parameters.
+   * OUT parameters are bound to session variables and read back with a
+   * second statement on the same connection.
+   * @param {string} name - Procedure name, optionally qualified by schema
+   * @param {Array} [params] - IN parameters
+   * @param {Object} [options] - Query options
+   * @param {string[]} [options.out] - Names of the OUT parameters, after the IN ones
+   * @returns {Promise<Object>} - The query response, with `resultSets` and `outParams`
+   */
+  async callProcedureAsync(name, params = [], options = {}) {
+    const { out = [], ...queryOptions } = options;
+    const variables = out.map((parameter) => "@" + mysql.escapeId("out_" + parameter));
+    let command =
+      "CALL " + mysql.escapeId(name) + "(" +
+      [...params.map(() => "?"), ...variables].join(", ") + ")";
+    if (out.length) {
+      command +=
+        "; SELECT " +
+        variables
+          .map((variable, index) => variable + " AS " + mysql.escapeId(out[index]))
+          .join(", ");
+    }
+    const response = await this.executeNativeQueryAsync(command, params, {
+      ...queryOptions,
+      multipleStatements: true,
+    });
+    if (out.length) {
+      response.outParams = response.resultSets.pop().results[0];
     }
+    return response;
+  }
 
-    throw new Error("executeQuerySync not implemented");
+  /**
+   * Keyset pagination over a base SELECT: rows are ordered by `orderBy` plus
+   * the primary key as tie-breaker, and each page starts after (or before)
+   * the row its cursor was taken from, so pages stay fast and stable while
+   * rows are inserted. Cursors are opaque tokens signed with `cursorSecret`
+   * and bound to the query and ordering.
+   * @param {string} command - Base SELECT; order columns must be among its output columns and not NULL
+   * @param {Array|Object} params - Positional parameters, or values of `:name` placeholders
+   * @param {Object} options
+   * @param {string|Array<string|{column: string, direction: string}>} options.orderBy - e.g. `["created_at DESC"]`
+   * @param {string|string[]} [options.primaryKey="id"] - Tie-breaker columns
+   * @param {number} [options.limit=20] - Page size
+   * @param {string} [options.cursor] - `nextCursor` or `prevCursor` of a previous page
+   * @param {boolean} [options.count] - Also counts all rows, concurrently on another connection
+   * @returns {Promise<{rows: Array, nextCursor: ?string, prevCursor: ?string, hasMore: boolean, total: number}>}
+   * @throws {InvalidCursorError} When the cursor is malformed, tampered with or from another query
+   */
+  async paginateAsync(command, params, options = {}) {
+    const { orderBy, primaryKey = "id", limit = 20, cursor, count = false, ...queryOptions } = options;
+    ({ command, params } = bindParameters(command, params));
+    const order = keysetOrder(orderBy, primaryKey);
+    const fingerprint = keysetFingerprint(command, order);
+    const position = cursor ? decodeCursor(cursor, fingerprint, this.cursorSecret) : null;
+    if (cursor && !position) {
+      throw new InvalidCursorError("Invalid or expired pagination cursor");
+    }
+    const backward = position?.direction === "prev";
+    const page = keysetQuery(command, params, order, position?.values, {
+      backward,
+      limit,
+      escapeId: (identifier) => mysql.escapeId(identifier),
+    });
+    const [{ results }, counted] = await Promise.all([
+      this.executeNativeQueryAsync(page.command, page.params, queryOptions),
+      count &&
+        this.executeNativeQueryAsync(countQuery(command), params, {
+          ...queryOptions,
+          dedicated: !this.transaction,
+        }),
+    ]);
+    const more = results.length > limit;
+    const rows = results.slice(0, limit);
+    if (backward) {
+      rows.reverse();
+    }
+    const token = (row, direction) =>
+      row ? encodeCursor(row, order, direction, fingerprint, this.cursorSecret) : null;
+    const hasMore = backward ? rows.length > 0 : more;
+    return {
+      rows,
+      nextCursor: hasMore ? token(rows.at(-1), "next") : null,
+      prevCursor: (backward ? more : Boolean(position)) ? token(rows[0], "prev") : null,
+      hasMore,
+      total: counted ? Number(counted.results[0].total) : undefined,
+    };
+  }
+
+  /**
+   * Closes cached prepared statements (`mysql2` driver only).
+   * @param {string} [command] - Statement to close; all statements when omitted
+   * @param {Object} [options]
+   * @param {boolean} [options.pool] - Applies to every connection of the pool instead of the session one
+   * @returns {number} - Number of statements closed
+   */
+  invalidatePreparedStatements(command, { pool = false } = {}) {
+    const connections = pool
+      ? connectionsOf(this.pool._allConnections)
+      : [this.connection].filter(Boolean);
+    let closed = 0;
+    for (const connection of connections) {
+      if (!connection._statements) {
+        continue;
+      }
+      if (command) {
+        closed += connection.unprepare(command) ? 1 : 0;
+        continue;
+      }
+      closed += closePreparedStatements(connection);
+    }
+    return closed;
+  }
+
+  /**
+   * Returns `max_allowed_packet` and `auto_increment_increment` of the
+   * server, read once per connection setting.
+   */
+  async serverLimits() {
+    const state = poolState(this.pool);
+    if (!state.serverLimits) {
+      const { results } = await this.executeNativeQueryAsync(
+        "SELECT @@max_allowed_packet AS maxAllowedPacket, @@auto_increment_increment AS autoIncrementIncrement",
+        [],
+        { primary: true }
+      );
+      state.serverLimits = {
+        maxAllowedPacket: Number(results[0].maxAllowedPacket),
+        autoIncrementIncrement: Number(results[0].autoIncrementIncrement),
+      };
+    }
+    return state.serverLimits;
+  }
+
+  /**
+   * Inserts many rows with multi-row INSERT statements sized against the
+   * server `max_allowed_packet`, all inside one transaction (a savepoint
+   * when a transaction is already open).
+   * @param {string} table - Target table
+   * @param {Array<Object|Array>} rows - Objects keyed by column, or tuples ordered as `options.columns`
+   * @param {Object} [options]
+   * @param {Array<string>} [options.columns] - Column list; defaults to the keys of the first object
+   * @param {string} [options.mode="insert"] - `insert`, `ignore` or `upsert` (ON DUPLICATE KEY UPDATE)
+   * @param {Array<string>|Object} [options.update] - Upsert columns, or `{column: sqlExpression}`
+   * @param {number} [options.maxPacketSize] - Statement size limit; defaults to 90% of `max_allowed_packet`
+   * @param {number} [options.batchSize] - Row limit of one statement
+   * @param {string} [options.transactionName] - Name of the wrapping transaction
+   * @returns {Promise<{affectedRows: number, insertedIdRanges: Array, batches: Array, executionTime: number}>}
+   */
+  async bulkInsertAsync(table, rows, options = {}) {
+    const start = Date.now();
+    const summary = { affectedRows: 0, insertedIdRanges: [], batches: [], executionTime: 0 };
+    if (!rows.length) {
+      return summary;
+    }
+    const { mode = "insert", maxPacketSize, batchSize, transactionName } = options;
+    const { maxAllowedPacket, autoIncrementIncrement } = await this.serverLimits();
+    const settings = castSettings(this.typeCast);
+    const batches = insertBatches(table, rows, {
+      ...options,
+      mode,
+      maxBytes: maxPacketSize ?? Math.floor(maxAllowedPacket * 0.9),
+      maxRows: batchSize,
+      escape: (value, column) =>
+        this.connection.escape(settings ? castParam(value, settings, false, column) : value),
+      escapeId: (identifier) => mysql.escapeId(identifier),
+    });
+    await this.withTransaction(transactionName ?? "bulkInsert:" + table, async () => {
+      summary.affectedRows = 0;
+      summary.insertedIdRanges = [];
+      summary.batches = [];
+      for (const batch of batches) {
+        const { results, executionTime } = await this.executeNativeQueryAsync(batch.sql, [], {
+          statement: batch.statement,
+        });
+        summary.affectedRows += results.affectedRows;
+        summary.batches.push({
+          rows: batch.rows,
+          bytes: batch.bytes,
+          affectedRows: results.affectedRows,
+          insertId: results.insertId,
+          executionTime,
+        });
+        if (mode === "insert" && results.insertId) {
+          summary.insertedIdRanges.push({
+            first: results.insertId,
+            last: results.insertId + (results.affectedRows - 1) * autoIncrementIncrement,
+          });
+        }
+      }
+    });
+    summary.executionTime = Date.now() - start;
+    return summary;
+  }
+
+  /**
+   * Imports a CSV/TSV file or stream with `LOAD DATA LOCAL INFILE`.
+   * With `mysql2` the source is streamed through `infileStreamFactory`; the
+   * legacy `mysql` driver only reads files by path, so other streams are
+   * spooled to a temporary file first.
+   * @param {string} table - Target table
+   * @param {string|Readable} source - File path or readable stream
+   * @param {Object} [options] - `loadDataStatement` options (`columns`, `set`, `delimiter`, `quote`, `escape`, `lineTerminator`, `header`, `charset`, `duplicates`)
+   * @param {function({bytes: number, lines: number})} [options.onProgress] - Called as data is sent
+   * @returns {Promise<{affectedRows: number, records: number, deleted: number, skipped: number, warnings: number, bytes: number, executionTime: number}>}
+   */
+  async importCsvAsync(table, source, options = {}) {
+    const start = Date.now();
+    const { onProgress, lineTerminator = "\n" } = options;
+    const progress = new CsvProgress(onProgress, lineTerminator);
+    const fromFile = typeof source === "string";
+    const queryOptions = { retry: false };
+    let file = fromFile ? path.resolve(source) : "stream.csv";
+    let spool = null;
+    let bytes = null;
+    if (typeof this.connection.execute === "function") {
+      // errors surface through `progress`, which the driver is reading
+      queryOptions.infileStreamFactory = () =>
+        pipe(fromFile ? fs.createReadStream(file) : source, progress, () => {});
+    } else if (!fromFile) {
+      spool = await fs.promises.mkdtemp(path.join(os.tmpdir(), "ares-csv-"));
+      file = path.join(spool, "import.csv");
+      await pipeline(source, progress, fs.createWriteStream(file));
+    } else {
+      bytes = (await fs.promises.stat(file)).size;
+    }
+    try {
+      const { results } = await this.executeNativeQueryAsync(
+        loadDataStatement(
+          table,
+          file,
+          options,
+          (value) => this.connection.escape(value),
+          (identifier) => mysql.escapeId(identifier)
+        ),
+        [],
+        queryOptions
+      );
+      bytes = bytes ?? progress.bytes;
+      if (fromFile && !queryOptions.infileStreamFactory) {
+        onProgress?.({ bytes, lines: null });
+      }
+      return {
+        ...loadDataSummary(results),
+        bytes,
+        executionTime: Date.now() - start,
+      };
+    } finally {
+      if (spool) {
+        await fs.promises.rm(spool, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Streams the result of a query to CSV.
+   * NULL is written as `nullValue` (empty by default) while empty strings are
+   * quoted, so the two stay distinguishable.
+   * @param {string} command - SQL command
+   * @param {Array|Object} params - Positional parameters, or values of `:name` placeholders
+   * @param {string|Writable} destination - File path or writable stream (ended when done)
+   * @param {Object} [options]
+   * @param {boolean} [options.header=true] - Writes the column names first
+   * @param {string} [options.delimiter=","] - Field separator
+   * @param {string} [options.quote='"'] - Quote character
+   * @param {string} [options.lineTerminator="\n"] - Line separator
+   * @param {string} [options.nullValue=""] - NULL representation, e.g. `\N`
+   * @param {string} [options.encoding="utf8"] - Output encoding
+   * @param {function(*): string} [options.formatValue] - Custom value formatting
+   * @param {function({rows: number, bytes: number})} [options.onProgress] - Progress callback
+   * @param {number} [options.progressInterval=1000] - Rows between progress calls
+   * @returns {Promise<{rows: number, bytes: number, executionTime: number}>}
+   */
+  async exportCsvAsync(command, params, destination, options = {}) {
+    const start = Date.now();
+    const {
+      header = true,
+      encoding = "utf8",
+      onProgress,
+      progressInterval = 1000,
+      primary,
+    } = options;
+    const rows = this.executeNativeQueryStream(command, params, { primary });
+    const columns = ((await rows.fields) ?? []).map((field) => field.name);
+    const output =
+      typeof destination === "string" ? fs.createWriteStream(destination) : destination;
+    const summary = { rows: 0, bytes: 0 };
+    const encode = (line) => {
+      const chunk = Buffer.from(line, encoding);
+      summary.bytes += chunk.length;
+      return chunk;
+    };
+    await pipeline(
+      rows,
+      async function* (source) {
+        if (header) {
+          yield encode(csvLine(columns, options));
+        }
+        for await (const row of source) {
+          yield encode(csvLine(columns.map((column) => row[column]), options));
+          summary.rows++;
+          if (onProgress && summary.rows % progressInterval === 0) {
+            onProgress({ ...summary });
+          }
+        }
+      },
+      output
+    );
+    if (onProgress && (summary.rows === 0 || summary.rows % progressInterval)) {
+      onProgress({ ...summary });
+    }
+    return { ...summary, executionTime: Date.now() - start };
+  }
+
+  /**
+   * Streams the rows of a query instead of buffering them in memory.
+   * Outside a transaction the query runs on its own pooled connection (a
+   * replica for read-only statements when replicas are configured), which is
+   * released on completion or error and destroyed on early termination.
+   * Inside a transaction it runs on the session connection.
+   * @param {string} command - SQL command
+   * @param {Array|Object} params - Positional parameters, or values of `:name` placeholders
+   * @param {Object} [options]
+   * @param {number} [options.highWaterMark=100] - Rows buffered before the connection is paused
+   * @param {boolean} [options.primary] - Forces the primary
+   * @returns {Readable} - Object-mode stream of rows with a `fields` promise
+   */
+  executeNativeQueryStream(command, params, { highWaterMark = 100, primary = false } = {}) {
+    ({ command, params } = bindParameters(command, params));
+    let lease = null;
+    let ended = false;
+    let failure = null;
+    let rows = 0;
+    const began = Date.now();
+    const logQuery = (error) =>
+      this.logQuery(command, params, { executionTime: Date.now() - began, error }, {
+        threadId: lease?.connection.threadId,
+        replica: lease?.replica,
+        rows,
+        stream: true,
+      });
+    let resolveFields;
+    let rejectFields;
+    const stream = new Readable({
+      objectMode: true,
+      highWaterMark,
+      read() {
+        lease?.connection.resume();
+      },
+      destroy(error, done) {
+        rejectFields(error ?? new Error("Stream closed before fields were received"));
+        if (lease) {
+          if (!ended && lease.shared) {
+            lease.connection.resume();
+          }
+          lease.release(failure, !ended);
+        }
+        done(error);
+      },
+    });
+    stream.fields = new Promise((resolve, reject) => {
+      resolveFields = resolve;
+      rejectFields = reject;
+    });
+    stream.fields.catch(() => {});
+
+    const start = async () => {
+      const current = await this.leaseConnection(command, {
+        primary,
+        dedicated: !this.transaction,
+      });
+      if (stream.destroyed) {
+        current.release();
+        return;
+      }
+      lease = current;
+      const connection = lease.connection;
+      const query = connection.query(
+        command,
+        castParams(params, castSettings(this.typeCast), false, command)
+      );
+      query.on("error", (error) => {
+        ended = true;
+        failure = error;
+        const classified = classifyError(error);
+        logQuery(classified);
+        stream.destroy(classified);
+      });
+      query.on("fields", (fields) => {
+        resolveFields(fields);
+        stream.emit("fields", fields);
+      });
+      query.on("result", (row) => {
+        if (stream.destroyed) {
+          return;
+        }
+        rows++;
+        if (!stream.push(row)) {
+          connection.pause();
+        }
+      });
+      query.on("end", () => {
+        if (!failure) {
+          logQuery();
+        }
+        ended = true;
+        resolveFields(undefined);
+        if (!stream.destroyed) {
+          stream.push(null);
+        }
+      });
+    };
+    start().catch((error) => stream.destroy(error));
+    trackInFlight(this.pool, new Promise((resolve) => stream.once("close", resolve)));
+    return stream;
+  }
+
+  executeQuerySync(
+    command,
+    params,
+    callback,
+    timeout = this.syncQueryTimeout ?? 30000
+  ) {
+    ({ command, params } = bindParameters(command, params));
+    const date = new Date();
+    const response = { executionTime: date.getTime(), executionDateTime: date };
+    if (!this.datasource.aReS.isProduction) {
+      response.query = command;
+      response.params = params;
+    }
+    // the provider cannot be awaited here: the last resolved credentials are used
+    const credentials = this.pool && poolState(this.pool).credentials;
+    const worker = getSyncQueryWorker(
+      this.datasource,
+      this.connectionSettingName,
+      {
+        ...workerOptions(this),
+        ...(credentials && { user: credentials.user, password: credentials.password }),
+      },
+      this.driver,
+      (level, event, fields) => this.logEvent(level, event, fields)
+    );
+    if (this.tenant) {
+      const schema = this.resolveTenant() || this.database;
+      if (typeof schema?.then === "function") {
+        throw new Error("executeQuerySync requires a synchronous tenant resolver");
+      }
+      if (!schema) {
+        throw new TenantAccessError("No tenant schema resolved and no default database");
+      }
+      this.assertTenantSchema(schema);
+      const routed = worker.query("USE " + mysql.escapeId(schema), [], timeout);
+      if (routed.error) {
+        response.error = classifyError(routed.error);
+        callback?.(response);
+        throw response;
+      }
+    }
+    // cast parameters are not cloneable, so they are inlined here
+    const settings = castSettings(this.typeCast);
+    const reply = settings
+      ? worker.query(
+          mysql.format(
+            command,
+            castParams(params, settings, false, command),
+            false,
+            this.timezone ?? "local"
+          ),
+          [],
+          timeout
+        )
+      : worker.query(command, params, timeout);
+    response.executionTime = new Date().getTime() - response.executionTime;
+    response.fields = reply.fields;
+    response.results = reply.results;
+    response.error = classifyError(reply.error);
+    this.logQuery(command, params, response, { sync: true });
+    const statements = splitStatements(command);
+    if (!response.error && (statements.length > 1 || statementOperation(command) === "CALL")) {
+      response.resultSets = resultSets(statements, reply.results, reply.fields);
+    }
+    if (!response.error) {
+      this.invalidateCache(command);
+    }
+    callback?.(response);
+    if (response.error) {
+      throw response;
+    }
     return response;
   }
 }
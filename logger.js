@@ -0,0 +1,146 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+export const logLevels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const defaultRedaction = {
+  names: [/pass(word|wd)?$/i, /secret/i, /token/i, /api[-_]?key/i, /authorization/i, /credential/i],
+  values: [/^Bearer\s/i, /^eyJ[\w-]+\.[\w-]+\./],
+  replacement: "[REDACTED]",
+};
+
+const quotedOrComment =
+  /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\/\*[\s\S]*?\*\/|(?:--\s|#)[^\n]*/g;
+const insertColumns = /\(([^()]*)\)\s*VALUES\s*/gi;
+const comparedColumn = /([\w`.]+)\s*(?:<=>|<>|!=|<=|>=|=|<|>|\bNOT\s+LIKE|\bLIKE|\bNOT\s+IN\s*\(|\bIN\s*\()\s*$/i;
+// characters before a placeholder searched for its comparison: a qualified
+// identifier (3 x 64 characters, quoted) and the operator fit
+const comparisonWindow = 256;
+
+function columnName(identifier) {
+  return identifier.trim().split(".").pop().replace(/`/g, "");
+}
+
+/**
+ * Guesses the column each `?` placeholder is bound to, from comparisons
+ * (`password = ?`) and `INSERT (...) VALUES (...)` lists; `null` when unknown.
+ * @param {string} command - SQL command
+ * @returns {Array<?string>}
+ */
+export function placeholderNames(command) {
+  // blank out strings and comments, keeping quoted identifiers and offsets
+  const text = String(command).replace(quotedOrComment, (match) =>
+    match[0] === "`" ? match : " ".repeat(match.length)
+  );
+  const named = new Map();
+  for (const match of text.matchAll(insertColumns)) {
+    const columns = match[1].split(",").map(columnName);
+    let depth = 0;
+    let position = 0;
+    // walk the row tuples: top-level commas inside a tuple move to the next column
+    for (let index = match.index + match[0].length; index < text.length; index++) {
+      const char = text[index];
+      if (char === "(") {
+        depth++;
+        position = depth === 1 ? 0 : position;
+      } else if (char === ")") {
+        depth--;
+      } else if (char === "," && depth === 1) {
+        position++;
+      } else if (char === "?" && depth === 1) {
+        named.set(index, columns[position] ?? null);
+      } else if (depth === 0 && char !== "," && char.trim()) {
+        break;
+      }
+    }
+  }
+  const names = [];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] !== "?") {
+      continue;
+    }
+    if (text[index + 1] === "?") {
+      names.push(null);
+      index++;
+      continue;
+    }
+    const compared = named.has(index) ? null : comparedColumn.exec(text.slice(Math.max(0, index - comparisonWindow), index));
+    names.push(named.get(index) ?? (compared ? columnName(compared[1]) : null));
+  }
+  return names;
+}
+
+function redactValue(value, name, rules) {
+  if (typeof rules === "function") {
+    return rules(value, name);
+  }
+  const { names = [], values = [], replacement = "[REDACTED]" } = rules;
+  if (name && names.some((rule) => (rule instanceof RegExp ? rule.test(name) : rule === name))) {
+    return replacement;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, name, rules));
+  }
+  if (typeof value === "string" && values.some((rule) => rule.test(value))) {
+    return replacement;
+  }
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactValue(item, key, rules)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Redacts parameter values by the name of the column they are bound to
+ * (or the key of an object parameter) and by value patterns.
+ * @param {string} command - SQL command
+ * @param {Array|Object} params - Query parameters
+ * @param {Object|function(*, ?string): *|false} [rules=defaultRedaction] - `{names, values, replacement}` or a function
+ * @returns {Array|Object}
+ */
+export function redactParams(command, params, rules = defaultRedaction) {
+  if (rules === false || params === undefined || params === null) {
+    return params;
+  }
+  if (!Array.isArray(params)) {
+    return redactValue(params, null, rules);
+  }
+  const names = placeholderNames(command);
+  return params.map((value, index) => redactValue(value, names[index], rules));
+}
+
+function serializable(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+const consoleLogger = {
+  debug: (event) => console.debug("MariaDB " + event.event, JSON.stringify(event, serializable)),
+  info: (event) => console.log("MariaDB " + event.event, JSON.stringify(event, serializable)),
+  warn: (event) => console.warn("MariaDB " + event.event, JSON.stringify(event, serializable)),
+  error: (event) => console.error("MariaDB " + event.event, JSON.stringify(event, serializable)),
+};
+
+/**
+ * Delivers an event to the configured logger: a function receiving every
+ * event, or an object with `debug`/`info`/`warn`/`error` methods (pino,
+ * winston and console all fit). Defaults to the console.
+ * @param {Object|function(Object)} [logger]
+ * @param {Object} event - `{level, event, ...fields}`
+ */
+export function emitLogEvent(logger = consoleLogger, event) {
+  if (typeof logger === "function") {
+    return logger(event);
+  }
+  const method = logger[event.level] ?? logger.log;
+  method?.call(logger, event);
+}
+
+/**
+ * Error details safe to serialize in a log event.
+ */
+export function errorDetails(error) {
+  return error ? { code: error.code, message: error.message } : undefined;
+}
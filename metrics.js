@@ -0,0 +1,173 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { errorDetails } from "./logger.js";
+
+export const defaultLatencyBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Cumulative histogram with fixed upper bounds, in milliseconds.
+ */
+export class Histogram {
+  constructor(buckets = defaultLatencyBuckets) {
+    this.bounds = buckets;
+    this.counts = new Array(buckets.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+  }
+
+  observe(value) {
+    const index = this.bounds.findIndex((bound) => value <= bound);
+    this.counts[index < 0 ? this.bounds.length : index]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  snapshot() {
+    let cumulative = 0;
+    const buckets = this.bounds.map((le, index) => ({
+      le,
+      count: (cumulative += this.counts[index]),
+    }));
+    buckets.push({ le: "+Inf", count: this.count });
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      mean: this.count ? this.sum / this.count : null,
+      buckets,
+    };
+  }
+}
+
+/**
+ * Counters and latency histograms of one connection setting.
+ */
+export class PoolMetrics {
+  constructor(buckets) {
+    this.counters = {
+      acquired: 0,
+      acquireErrors: 0,
+      released: 0,
+      queries: 0,
+      errors: 0,
+      keepalives: 0,
+      keepaliveFailures: 0,
+    };
+    this.errorsByCode = {};
+    this.queryLatency = new Histogram(buckets);
+    this.acquireLatency = new Histogram(buckets);
+  }
+
+  recordAcquire(milliseconds, error) {
+    if (error) {
+      this.counters.acquireErrors++;
+      this.recordError(error);
+      return;
+    }
+    this.counters.acquired++;
+    this.acquireLatency.observe(milliseconds);
+  }
+
+  recordRelease() {
+    this.counters.released++;
+  }
+
+  recordQuery(milliseconds, error) {
+    this.counters.queries++;
+    this.queryLatency.observe(milliseconds);
+    if (error) {
+      this.counters.errors++;
+      this.recordError(error);
+    }
+  }
+
+  recordError(error) {
+    const code = error.code ?? "UNKNOWN";
+    this.errorsByCode[code] = (this.errorsByCode[code] ?? 0) + 1;
+  }
+
+  snapshot(pool) {
+    return {
+      counters: { ...this.counters },
+      errorsByCode: { ...this.errorsByCode },
+      queryLatency: this.queryLatency.snapshot(),
+      acquireLatency: this.acquireLatency.snapshot(),
+      pool: poolGauges(pool),
+    };
+  }
+}
+
+export function connectionsOf(queue) {
+  if (!queue) {
+    return [];
+  }
+  return Array.isArray(queue)
+    ? [...queue]
+    : Array.from({ length: queue.length }, (_, index) => queue.get(index));
+}
+
+/**
+ * Reads the connection gauges of a `mysql` or `mysql2` pool.
+ * @param {Object} pool - Driver pool
+ * @returns {{total: number, active: number, idle: number, queued: number, limit: number}}
+ */
+export function poolGauges(pool) {
+  const total = pool?._allConnections?.length ?? 0;
+  const idle = pool?._freeConnections?.length ?? 0;
+  return {
+    total,
+    active: total - idle,
+    idle,
+    queued: pool?._connectionQueue?.length ?? 0,
+    limit: pool?.config?.connectionLimit ?? null,
+  };
+}
+
+/**
+ * Periodically runs `SELECT 1` on the idle connections of the pools and
+ * destroys the ones that fail, so stale connections are not handed out.
+ * Each connection is checked out with `getConnection` for the check, so it
+ * is never handed out while being validated.
+ * @param {Array<Object>} pools - Driver pools (primary and replicas)
+ * @param {PoolMetrics} metrics - Metrics of the connection setting
+ * @param {number} interval - Milliseconds between rounds
+ * @param {function(string, string, Object)} [log] - Receives the discarded connections as (level, event, fields)
+ * @returns {NodeJS.Timeout} - The unref'd timer
+ */
+export function startKeepalive(pools, metrics, interval, log) {
+  const timer = setInterval(() => {
+    for (const pool of pools) {
+      // the free connections are taken synchronously, so exactly the idle ones are checked
+      const idle = connectionsOf(pool._freeConnections).length;
+      for (let index = 0; index < idle; index++) {
+        pool.getConnection((acquireError, connection) => {
+          if (acquireError) {
+            return;
+          }
+          metrics.counters.keepalives++;
+          connection.query("SELECT 1", (error) => {
+            if (!error) {
+              return connection.release();
+            }
+            metrics.counters.keepaliveFailures++;
+            metrics.recordError(error);
+            log?.("warn", "keepalive", {
+              threadId: connection.threadId,
+              error: errorDetails(error),
+            });
+            connection.destroy();
+          });
+        });
+      }
+    }
+  }, interval);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,154 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// cursors stay valid only within this process when no secret is configured
+const processSecret = randomBytes(32);
+
+/**
+ * Normalizes the keyset ordering: `orderBy` entries are column names,
+ * "column DESC" strings or `{column, direction}` objects; the primary key
+ * columns are appended as tie-breakers, in the direction of the last column.
+ * @returns {Array<{column: string, descending: boolean}>}
+ */
+export function keysetOrder(orderBy, primaryKey = "id") {
+  const order = [orderBy ?? []].flat().map((entry) => {
+    const [column, direction = "ASC"] =
+      typeof entry === "string" ? entry.trim().split(/\s+/) : [entry.column, entry.direction];
+    if (!/^(ASC|DESC)$/i.test(direction)) {
+      throw new TypeError('Invalid order direction "' + direction + '" for ' + column);
+    }
+    return { column, descending: /^DESC$/i.test(direction) };
+  });
+  const descending = order.at(-1)?.descending ?? false;
+  for (const column of [primaryKey].flat()) {
+    if (!order.some((entry) => entry.column === column)) {
+      order.push({ column, descending });
+    }
+  }
+  return order;
+}
+
+function baseSelect(command) {
+  return String(command).trim().replace(/;\s*$/, "");
+}
+
+/**
+ * Wraps a SELECT so it returns the `limit + 1` rows following (or, when
+ * `backward`, preceding) the keyset `values`, in page order reversed when
+ * going backward. Order columns are names of the SELECT output columns
+ * and must not be NULL.
+ * @returns {{command: string, params: Array}}
+ */
+export function keysetQuery(command, params, order, values, { backward, limit, escapeId }) {
+  const keysetParams = [];
+  let where = "";
+  if (values) {
+    // (a > ?) OR (a = ? AND b > ?) OR ...: works with mixed directions
+    where =
+      " WHERE " +
+      order
+        .map(({ column, descending }, index) => {
+          const terms = order.slice(0, index).map((previous, position) => {
+            keysetParams.push(values[position]);
+            return escapeId(previous.column) + " = ?";
+          });
+          keysetParams.push(values[index]);
+          terms.push(escapeId(column) + (descending !== Boolean(backward) ? " < ?" : " > ?"));
+          return "(" + terms.join(" AND ") + ")";
+        })
+        .join(" OR ");
+  }
+  const orderBy = order
+    .map(({ column, descending }) =>
+      escapeId(column) + (descending !== Boolean(backward) ? " DESC" : " ASC")
+    )
+    .join(", ");
+  return {
+    command:
+      "SELECT * FROM (" + baseSelect(command) + ") AS keyset_page" + where +
+      " ORDER BY " + orderBy + " LIMIT " + (Number(limit) + 1),
+    params: [...[params ?? []].flat(), ...keysetParams],
+  };
+}
+
+/**
+ * Counts the rows of a SELECT.
+ */
+export function countQuery(command) {
+  return "SELECT COUNT(*) AS total FROM (" + baseSelect(command) + ") AS counted";
+}
+
+function signature(payload, secret) {
+  return createHmac("sha256", secret ?? processSecret).update(payload).digest("base64url");
+}
+
+// dates and buffers are tagged so they are bound with their own type again
+function cursorValue(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { $buffer: value.toString("base64") };
+  }
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function keyValue(value) {
+  if (value?.$date !== undefined) {
+    return new Date(value.$date);
+  }
+  return value?.$buffer !== undefined ? Buffer.from(value.$buffer, "base64") : value;
+}
+
+/**
+ * Fingerprint binding cursors to a query and its ordering.
+ */
+export function keysetFingerprint(command, order) {
+  return createHash("sha256")
+    .update(String(command) + "\n" + JSON.stringify(order))
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+/**
+ * Opaque cursor token: the keyset of `row`, the direction and the query
+ * fingerprint, signed with HMAC-SHA256.
+ */
+export function encodeCursor(row, order, direction, fingerprint, secret) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      k: order.map(({ column }) => cursorValue(row[column])),
+      d: direction,
+      f: fingerprint,
+    })
+  ).toString("base64url");
+  return payload + "." + signature(payload, secret);
+}
+
+/**
+ * Verifies and reads a cursor token.
+ * @returns {?{values: Array, direction: string}} - `null` when the token is
+ * malformed, tampered with or issued for another query or ordering
+ */
+export function decodeCursor(token, fingerprint, secret) {
+  const [payload, signed, extra] = String(token).split(".");
+  if (!payload || !signed || extra !== undefined) {
+    return null;
+  }
+  const expected = Buffer.from(signature(payload, secret));
+  const received = Buffer.from(signed);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+  try {
+    const { k, d, f } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return f === fingerprint && Array.isArray(k) && (d === "next" || d === "prev")
+      ? { values: k.map(keyValue), direction: d }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
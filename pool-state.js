@@ -0,0 +1,20 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+const states = new WeakMap();
+
+/**
+ * Returns the module state attached to a driver pool (replicas, metrics and
+ * other per-connection-setting data), creating it on first access.
+ * @param {Object} pool - Driver pool returned by `createPool`
+ * @returns {Object} - Mutable state shared by every session of the pool
+ */
+export function poolState(pool) {
+  let state = states.get(pool);
+  if (!state) {
+    state = {};
+    states.set(pool, state);
+  }
+  return state;
+}
@@ -0,0 +1,134 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { errorDetails } from "./logger.js";
+
+/**
+ * Read replicas of a connection setting.
+ * Replicas failing a query or a health check are ejected for `retryDelay`
+ * milliseconds, then probed again; ejections are reported to `log`.
+ */
+export class ReplicaSet {
+  constructor(
+    pools,
+    { selection = "round-robin", healthCheckInterval = 10000, retryDelay = 30000, log } = {}
+  ) {
+    if (!["round-robin", "least-connections"].includes(selection)) {
+      throw new Error('Unknown replica selection "' + selection + '"');
+    }
+    this.replicas = pools.map((pool, index) => ({
+      index,
+      pool,
+      active: 0,
+      ejectedUntil: 0,
+      lastError: null,
+    }));
+    this.selection = selection;
+    this.retryDelay = retryDelay;
+    this.log = log;
+    this.cursor = 0;
+    if (healthCheckInterval > 0) {
+      this.timer = setInterval(() => this.checkHealth(), healthCheckInterval);
+      this.timer.unref();
+    }
+  }
+
+  available() {
+    const now = Date.now();
+    return this.replicas.filter((replica) => replica.ejectedUntil <= now);
+  }
+
+  select(candidates) {
+    if (this.selection === "least-connections") {
+      return candidates.reduce((best, replica) =>
+        replica.active < best.active ? replica : best
+      );
+    }
+    return candidates[this.cursor++ % candidates.length];
+  }
+
+  eject(replica, error) {
+    replica.ejectedUntil = Date.now() + this.retryDelay;
+    replica.lastError = error;
+    this.log?.("warn", "replica", {
+      action: "eject",
+      replica: replica.index,
+      retryDelay: this.retryDelay,
+      error: errorDetails(error),
+    });
+  }
+
+  /**
+   * Borrows a connection from a healthy replica.
+   * @returns {Promise<{replica: Object, connection: Object}|null>} - `null` when no replica is available
+   */
+  async acquire() {
+    let candidates = this.available();
+    while (candidates.length) {
+      const replica = this.select(candidates);
+      replica.active++;
+      try {
+        const connection = await new Promise((resolve, reject) => {
+          replica.pool.getConnection((error, conn) =>
+            error ? reject(error) : resolve(conn)
+          );
+        });
+        return { replica, connection };
+      } catch (error) {
+        replica.active--;
+        this.eject(replica, error);
+        candidates = candidates.filter((candidate) => candidate !== replica);
+      }
+    }
+    return null;
+  }
+
+  release({ replica, connection }, error, discard = false) {
+    replica.active--;
+    if (error?.fatal) {
+      this.eject(replica, error);
+    }
+    if (error?.fatal || discard) {
+      connection.destroy();
+    } else {
+      connection.release();
+    }
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.available().map(async (replica) => {
+        try {
+          await new Promise((resolve, reject) => {
+            replica.pool.query("SELECT 1", (error) =>
+              error ? reject(error) : resolve()
+            );
+          });
+          replica.lastError = null;
+        } catch (error) {
+          this.eject(replica, error);
+        }
+      })
+    );
+  }
+
+  status() {
+    const now = Date.now();
+    return this.replicas.map(({ index, active, ejectedUntil, lastError }) => ({
+      index,
+      active,
+      healthy: ejectedUntil <= now,
+      lastError: lastError?.message ?? null,
+    }));
+  }
+
+  end() {
+    clearInterval(this.timer);
+    return Promise.all(
+      this.replicas.map(
+        ({ pool }) => new Promise((resolve) => pool.end(() => resolve()))
+      )
+    );
+  }
+}
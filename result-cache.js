@@ -0,0 +1,126 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { createHash } from "crypto";
+
+function copy(value) {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  if (value && typeof value === "object") {
+    // keeps driver row and field classes (RowDataPacket, FieldPacket)
+    const clone = Object.create(Object.getPrototypeOf(value));
+    for (const [key, item] of Object.entries(value)) {
+      clone[key] = copy(item);
+    }
+    return clone;
+  }
+  return value;
+}
+
+/**
+ * Default in-memory result store: least recently used entries are evicted
+ * beyond `maxEntries`, expired ones on access. Values are copied in and out,
+ * so callers may modify the rows they get.
+ * Any object with the same `get`/`set`/`delete`/`clear` methods (possibly
+ * async, e.g. backed by Redis) can be configured instead.
+ */
+export class LruCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expires <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return copy(entry.value);
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: copy(value), expires: Date.now() + ttl });
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// per datasource: version of each table written through it, "*" for all
+const tableVersions = new WeakMap();
+
+function versionsOf(datasource) {
+  let versions = tableVersions.get(datasource);
+  if (!versions) {
+    versions = new Map();
+    tableVersions.set(datasource, versions);
+  }
+  return versions;
+}
+
+/**
+ * Marks the cached results depending on `tables` as stale; without tables
+ * (statements whose tables cannot be told) every cached result of the
+ * datasource is.
+ * @param {Object} datasource - aReS datasource
+ * @param {string[]} tables - Lower case table names
+ */
+export function invalidateTables(datasource, tables) {
+  const versions = versionsOf(datasource);
+  for (const table of tables.length ? tables : ["*"]) {
+    versions.set(table, (versions.get(table) ?? 0) + 1);
+  }
+}
+
+function serializable(key, value) {
+  return typeof value === "bigint" ? value.toString() + "n" : value;
+}
+
+/**
+ * Cache key of a query: the statement, its parameters, where it runs and the
+ * current versions of the tables it reads, so a write to any of them makes
+ * earlier entries unreachable (they then expire or are evicted).
+ * @returns {string}
+ */
+export function resultCacheKey(datasource, { connectionSetting, schema, command, params, tables }) {
+  const versions = versionsOf(datasource);
+  return createHash("sha256")
+    .update(
+      JSON.stringify(
+        [
+          connectionSetting,
+          schema,
+          command,
+          params,
+          ["*", ...tables].map((table) => versions.get(table) ?? 0),
+        ],
+        serializable
+      )
+    )
+    .digest("base64url");
+}
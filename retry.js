@@ -0,0 +1,65 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+export const defaultRetryableCodes = [
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+  "PROTOCOL_CONNECTION_LOST",
+];
+
+/**
+ * Normalizes the `retry` connection parameter.
+ * `true` enables the defaults; a falsy value disables retries.
+ * @param {boolean|Object} setting - `retry` connection parameter
+ * @param {number} [setting.maxAttempts=3] - Attempts including the first one
+ * @param {number} [setting.baseDelay=50] - Backoff of the first retry, in ms
+ * @param {number} [setting.maxDelay=2000] - Backoff upper bound, in ms
+ * @param {Array<string|number>} [setting.retryableCodes] - Driver codes or errno values to retry
+ * @returns {Object|null} - The policy, or null when retries are disabled
+ */
+export function retryPolicy(setting) {
+  if (!setting) {
+    return null;
+  }
+  const {
+    maxAttempts = 3,
+    baseDelay = 50,
+    maxDelay = 2000,
+    retryableCodes = defaultRetryableCodes,
+  } = setting === true ? {} : setting;
+  return { maxAttempts, baseDelay, maxDelay, retryableCodes: new Set(retryableCodes) };
+}
+
+/**
+ * Returns the driver error carried by a rejected response, an `Error` or its cause.
+ * @param {*} failure - Rejection value
+ * @returns {Object|undefined}
+ */
+export function driverError(failure) {
+  return failure?.error ?? failure?.cause ?? failure;
+}
+
+export function isRetryable(policy, failure) {
+  const error = driverError(failure);
+  return Boolean(
+    policy &&
+      error &&
+      (policy.retryableCodes.has(error.code) || policy.retryableCodes.has(error.errno))
+  );
+}
+
+/**
+ * Exponential backoff with full jitter.
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @returns {number} - Delay in ms
+ */
+export function retryDelay(policy, attempt) {
+  const cap = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+}
+
+export function sleep(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
@@ -0,0 +1,65 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import fs from "fs";
+
+const resolvedTls = new WeakMap();
+
+function pem(value) {
+  if (Array.isArray(value)) {
+    return value.map(pem);
+  }
+  // anything that is not PEM text is a file path
+  if (typeof value === "string" && !value.includes("-----BEGIN")) {
+    return fs.readFileSync(value);
+  }
+  return value;
+}
+
+/**
+ * Driver `ssl` options of the `tls` connection setting. `ca`, `cert` and
+ * `key` accept PEM text, Buffers or file paths (read once); the server
+ * certificate is verified and TLS 1.2 required unless configured otherwise.
+ * Other keys (`servername`, `ciphers`, `maxVersion`, ...) are passed to
+ * Node's TLS layer as they are.
+ * @param {boolean|Object} tls - `true` for the defaults
+ * @returns {Object|undefined}
+ */
+export function tlsOptions(tls) {
+  if (!tls) {
+    return undefined;
+  }
+  const settings = tls === true ? {} : tls;
+  if (!resolvedTls.has(settings)) {
+    const { ca, cert, key, rejectUnauthorized = true, minVersion = "TLSv1.2", ...others } = settings;
+    const options = { ...others, rejectUnauthorized, minVersion };
+    for (const [name, value] of Object.entries({ ca, cert, key })) {
+      if (value !== undefined) {
+        options[name] = pem(value);
+      }
+    }
+    resolvedTls.set(settings, options);
+  }
+  return resolvedTls.get(settings);
+}
+
+/**
+ * Calls the `credentials` provider and normalizes its answer: `token` stands
+ * for `password` (e.g. cloud IAM authentication tokens), `expiresAt` (Date
+ * or epoch ms) tells when to ask again, never by default.
+ * @param {function(Object): Promise<{user: string, password: string, token: string, expiresAt: Date|number}>} provider
+ * @param {Object} context - Passed to the provider
+ * @returns {Promise<{user: string, password: string, expiresAt: number}>}
+ */
+export async function resolveCredentials(provider, context) {
+  const { user, password, token, expiresAt } = (await provider(context)) ?? {};
+  if (password === undefined && token === undefined) {
+    throw new TypeError("The credentials provider must return a password or a token");
+  }
+  return {
+    user: user ?? context.user,
+    password: password ?? token,
+    expiresAt: expiresAt === undefined ? Infinity : new Date(expiresAt).getTime(),
+  };
+}
@@ -0,0 +1,363 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+const readOperations = new Set(["SELECT", "SHOW", "DESCRIBE", "DESC", "EXPLAIN"]);
+const lockingRead = /\bFOR\s+UPDATE\b|\bFOR\s+SHARE\b|\bLOCK\s+IN\s+SHARE\s+MODE\b|\bINTO\s+(@|OUTFILE\b|DUMPFILE\b)/i;
+const sessionBound = /\b(LAST_INSERT_ID|FOUND_ROWS|ROW_COUNT|GET_LOCK|RELEASE_LOCK|IS_USED_LOCK|IS_FREE_LOCK)\s*\(|@/i;
+
+/**
+ * Returns the leading keyword of a statement, upper case, skipping comments
+ * and opening parentheses.
+ * @param {string} command - SQL command
+ * @returns {string}
+ */
+export function statementOperation(command) {
+  const match = String(command)
+    .replace(/\/\*[\s\S]*?\*\/|(--|#)[^\n]*/g, " ")
+    .match(/^[\s(]*([A-Za-z]+)/);
+  return match ? match[1].toUpperCase() : "";
+}
+
+/**
+ * Tells whether a statement only reads data and does not depend on session
+ * state, so it may run on any node of a cluster.
+ * @param {string} command - SQL command
+ * @returns {boolean}
+ */
+export function isReadOnlyStatement(command) {
+  // an "@" or ";" in a string literal or comment is no variable nor separator
+  const text = blankLiterals(String(command)).trim().replace(/;\s*$/, "");
+  return (
+    readOperations.has(mainOperation(text)) &&
+    !text.includes(";") &&
+    !lockingRead.test(text) &&
+    !sessionBound.test(text)
+  );
+}
+
+/**
+ * When a quoted string, quoted identifier or comment starts at `index`,
+ * returns the index of its last character, otherwise -1.
+ */
+function skipLiteral(text, index) {
+  const char = text[index];
+  if (char === "'" || char === '"' || char === "`") {
+    let end = index + 1;
+    for (; end < text.length && text[end] !== char; end++) {
+      if (text[end] === "\\" && char !== "`") {
+        end++;
+      }
+    }
+    return end;
+  }
+  if (char === "#" || (char === "-" && text[index + 1] === "-" && /\s/.test(text[index + 2] ?? " "))) {
+    const end = text.indexOf("\n", index);
+    return end < 0 ? text.length : end;
+  }
+  if (char === "/" && text[index + 1] === "*") {
+    const end = text.indexOf("*/", index + 2);
+    return end < 0 ? text.length : end + 1;
+  }
+  return -1;
+}
+
+/**
+ * Replaces quoted strings and comments with blanks, keeping quoted
+ * identifiers.
+ */
+function blankLiterals(source) {
+  let text = "";
+  let last = 0;
+  for (let index = 0; index < source.length; index++) {
+    const literalEnd = skipLiteral(source, index);
+    if (literalEnd >= 0) {
+      if (source[index] !== "`") {
+        text += source.slice(last, index) + " ";
+        last = literalEnd + 1;
+      }
+      index = literalEnd;
+    }
+  }
+  return text + source.slice(last);
+}
+
+/**
+ * Returns the leading keyword of the statement a `WITH` clause introduces,
+ * after its common table expressions (`WITH t AS (...) DELETE ...`), or
+ * the one of the statement itself; "WITH" when the list cannot be read.
+ * @param {string} command - SQL command
+ * @returns {string}
+ */
+function mainOperation(command) {
+  const text = String(command);
+  const operation = statementOperation(text);
+  if (operation !== "WITH") {
+    return operation;
+  }
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    const literalEnd = skipLiteral(text, index);
+    if (literalEnd >= 0) {
+      index = literalEnd;
+    } else if (text[index] === "(") {
+      depth++;
+    } else if (text[index] === ")" && --depth === 0) {
+      // a column list is followed by AS, a CTE by "," or the statement
+      const next = statementOperation(text.slice(index + 1));
+      if (next && next !== "AS") {
+        return next;
+      }
+    }
+  }
+  return operation;
+}
+
+/**
+ * Splits a script into statements on `;`, ignoring separators inside quoted
+ * strings, quoted identifiers and comments, and counts the `?` placeholders
+ * of each statement. `DELIMITER` blocks are not supported.
+ * @param {string} command - SQL script
+ * @returns {Array<{sql: string, placeholders: number}>}
+ */
+export function splitStatements(command) {
+  const text = String(command);
+  const statements = [];
+  let start = 0;
+  let placeholders = 0;
+  const push = (end) => {
+    const sql = text.slice(start, end).trim();
+    if (sql) {
+      statements.push({ sql, placeholders });
+    }
+    start = end + 1;
+    placeholders = 0;
+  };
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    const literalEnd = skipLiteral(text, index);
+    if (literalEnd >= 0) {
+      index = literalEnd;
+    } else if (char === "?") {
+      placeholders++;
+      if (text[index + 1] === "?") {
+        index++;
+      }
+    } else if (char === ";") {
+      push(index);
+    }
+  }
+  push(text.length);
+  return statements;
+}
+
+/**
+ * Labels the result packets of a multi-statement query or a `CALL`: each
+ * statement yields one entry, except `CALL`, which yields one per result set
+ * of the procedure followed by its final status.
+ * @param {Array<{sql: string}>} statements - Result of `splitStatements`
+ * @param {Array} results - Result packets, one per result set
+ * @param {Array} [fields] - Field definitions aligned with `results`
+ * @returns {Array<{statement: string, results: *, fields: ?Array, affectedRows: number}>}
+ */
+export function resultSets(statements, results, fields) {
+  const sets = [];
+  let index = 0;
+  const take = (statement) => {
+    const packet = results[index];
+    sets.push({
+      statement,
+      results: packet,
+      fields: fields?.[index],
+      affectedRows: Array.isArray(packet) ? 0 : packet?.affectedRows ?? 0,
+    });
+    index++;
+  };
+  for (const { sql } of statements) {
+    if (statementOperation(sql) === "CALL") {
+      while (index < results.length && Array.isArray(results[index])) {
+        take(sql);
+      }
+    }
+    if (index < results.length) {
+      take(sql);
+    }
+  }
+  return sets;
+}
+
+const tableClauses = {
+  SELECT: /\bFROM\s+([`\w.$]+)/i,
+  DELETE: /\bFROM\s+([`\w.$]+)/i,
+  INSERT: /\bINTO\s+([`\w.$]+)/i,
+  REPLACE: /\bINTO\s+([`\w.$]+)/i,
+  UPDATE: /^\s*UPDATE\s+(?:LOW_PRIORITY\s+|IGNORE\s+)*([`\w.$]+)/i,
+  CALL: /^\s*CALL\s+([`\w.$]+)/i,
+  LOAD: /\bINTO\s+TABLE\s+([`\w.$]+)/i,
+};
+
+/**
+ * Returns the main table of a statement (the procedure for `CALL`), without
+ * identifier quotes, or `undefined` when it cannot be told.
+ * @param {string} command - SQL command
+ * @returns {string|undefined}
+ */
+export function statementTable(command) {
+  const text = String(command).replace(/\/\*[\s\S]*?\*\/|(--|#)[^\n]*/g, " ");
+  const match = tableClauses[statementOperation(text)]?.exec(text);
+  return match ? match[1].replace(/`/g, "") : undefined;
+}
+
+const tableReference =
+  /\b(FROM|JOIN|INTO|UPDATE|TABLE)\s+(?:(?:LOW_PRIORITY|IGNORE|ONLY|TABLE)\s+)*([`\w$]+(?:\.[`\w$]+)?)/gi;
+const nextTableReference = /(?:\s+(?:AS\s+)?[`\w$]+)?\s*,\s*([`\w$]+(?:\.[`\w$]+)?)/iy;
+
+function tableName(identifier) {
+  return identifier.split(".").pop().replace(/`/g, "").toLowerCase();
+}
+
+/**
+ * Returns every table a statement reads or writes (FROM and JOIN lists,
+ * INSERT/REPLACE/LOAD targets, UPDATE lists, DDL), lower case and without
+ * schema. May include CTE names and a few false positives, never misses a
+ * plainly referenced table.
+ * @param {string} command - SQL command
+ * @returns {string[]}
+ */
+export function statementTables(command) {
+  const text = blankLiterals(String(command));
+  const tables = new Set();
+  for (const match of text.matchAll(tableReference)) {
+    tables.add(tableName(match[2]));
+    if (!/^(FROM|UPDATE)$/i.test(match[1])) {
+      continue;
+    }
+    nextTableReference.lastIndex = match.index + match[0].length;
+    let next;
+    while ((next = nextTableReference.exec(text))) {
+      tables.add(tableName(next[1]));
+    }
+  }
+  tables.delete("dual");
+  return [...tables];
+}
+
+const nonWriting = new Set([
+  ...readOperations,
+  "SET",
+  "USE",
+  "DO",
+  "BEGIN",
+  "START",
+  "COMMIT",
+  "ROLLBACK",
+  "SAVEPOINT",
+  "RELEASE",
+]);
+
+/**
+ * Returns the tables the statements of a command may modify: an empty array
+ * for reads, `null` when a write touches tables that cannot be told (CALL,
+ * statements without a recognizable table).
+ * @param {string} command - SQL command
+ * @returns {?string[]}
+ */
+export function writtenTables(command) {
+  const tables = new Set();
+  for (const { sql } of splitStatements(command)) {
+    if (nonWriting.has(mainOperation(sql))) {
+      continue;
+    }
+    const touched = statementTables(sql);
+    if (!touched.length || statementOperation(sql) === "CALL") {
+      return null;
+    }
+    touched.forEach((table) => tables.add(table));
+  }
+  return [...tables];
+}
+
+const namedPlaceholder = /(::?)([A-Za-z_]\w*)/y;
+
+function valuePlaceholders(value, values) {
+  if (!Array.isArray(value)) {
+    values.push(value);
+    return "?";
+  }
+  if (!value.length) {
+    return "NULL";
+  }
+  return value
+    .map((item) =>
+      Array.isArray(item)
+        ? "(" + valuePlaceholders(item, values) + ")"
+        : valuePlaceholders(item, values)
+    )
+    .join(", ");
+}
+
+/**
+ * Rewrites `:name` placeholders into positional ones bound from `params`.
+ * A name may repeat; arrays expand to one placeholder per item (`IN (:ids)`,
+ * nested arrays become row tuples, an empty array becomes NULL);
+ * `::name` inlines the value as an escaped identifier (or a list of them).
+ * Commands without named placeholders are returned unchanged.
+ * @param {string} command - SQL command
+ * @param {Object} params - Values by name
+ * @param {function(string): string} escapeId - Identifier escaping
+ * @returns {{command: string, params: Array|Object}}
+ * @throws {Error} On missing or unused keys, or named and `?` placeholders mixed
+ */
+export function bindNamedParameters(command, params, escapeId) {
+  const text = String(command);
+  const values = [];
+  const used = new Set();
+  let sql = "";
+  let last = 0;
+  let positional = false;
+  for (let index = 0; index < text.length; index++) {
+    const literalEnd = skipLiteral(text, index);
+    if (literalEnd >= 0) {
+      index = literalEnd;
+      continue;
+    }
+    if (text[index] === "?") {
+      positional = true;
+      continue;
+    }
+    namedPlaceholder.lastIndex = index;
+    const match = text[index] === ":" && text[index - 1] !== ":" && namedPlaceholder.exec(text);
+    if (!match) {
+      continue;
+    }
+    const [placeholder, prefix, name] = match;
+    // own properties only: ":constructor" must not resolve Object.prototype
+    const value = Object.hasOwn(params, name) ? params[name] : undefined;
+    if (value === undefined) {
+      throw new Error('Missing value for named parameter "' + prefix + name + '"');
+    }
+    used.add(name);
+    if (prefix === "::") {
+      const identifiers = [value].flat();
+      if (!identifiers.length) {
+        throw new Error('Empty identifier list for "::' + name + '"');
+      }
+      sql += text.slice(last, index) + identifiers.map((identifier) => escapeId(String(identifier))).join(", ");
+    } else {
+      sql += text.slice(last, index) + valuePlaceholders(value, values);
+    }
+    last = index + placeholder.length;
+    index = last - 1;
+  }
+  if (!used.size) {
+    return { command, params };
+  }
+  if (positional) {
+    throw new Error("Named and positional (?) placeholders cannot be mixed");
+  }
+  const unused = Object.keys(params).filter((name) => !used.has(name));
+  if (unused.length) {
+    throw new Error("Unused named parameters: " + unused.map((name) => ":" + name).join(", "));
+  }
+  return { command: sql + text.slice(last), params: values };
+}
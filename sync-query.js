@@ -0,0 +1,137 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import {
+  MessageChannel,
+  Worker,
+  receiveMessageOnPort,
+} from "worker_threads";
+import { errorDetails } from "./logger.js";
+
+const workers = new WeakMap();
+
+/**
+ * Runs queries on a dedicated worker thread and blocks the calling thread
+ * with `Atomics.wait` until the worker replies.
+ * The worker owns its own connection, so it never shares a session (nor a
+ * transaction) with the pooled connections. Worker and connection failures
+ * are reported to `log` as (level, event, fields).
+ */
+export class SyncQueryWorker {
+  constructor(options, driver, log) {
+    const { port1, port2 } = new MessageChannel();
+    this.port = port1;
+    this.signal = new Int32Array(new SharedArrayBuffer(4));
+    this.sequence = 0;
+    this.worker = new Worker(new URL("./sync-worker.js", import.meta.url), {
+      workerData: { options, driver, port: port2, signal: this.signal },
+      transferList: [port2],
+    });
+    this.worker.on("error", (error) => {
+      log?.("error", "syncWorker", { error: errorDetails(error) });
+      this.failed = true;
+    });
+    // events the worker reports outside of query replies
+    this.worker.on("message", ({ level, event, ...fields }) => log?.(level, event, fields));
+    this.worker.on("exit", () => {
+      this.failed = true;
+    });
+    this.worker.unref();
+  }
+
+  /**
+   * @param {string} command - SQL command
+   * @param {Array} params - Positional parameters
+   * @param {number} timeout - Milliseconds to wait for the reply
+   * @returns {{results: *, fields: *, error: Error}} - The worker reply; on
+   * timeout the worker is terminated
+   */
+  query(command, params, timeout) {
+    const id = ++this.sequence;
+    this.port.postMessage({ id, command, params });
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const reply = this.receive(id);
+      if (reply) {
+        return reply;
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        const error = new Error(
+          "Synchronous query timed out after " + timeout + " ms"
+        );
+        error.code = "ETIMEDOUT";
+        // the connection is still busy with the query: the next call starts a fresh worker
+        this.failed = true;
+        this.terminate();
+        return { error };
+      }
+      Atomics.wait(this.signal, 0, 0, remaining);
+      Atomics.store(this.signal, 0, 0);
+    }
+  }
+
+  receive(id) {
+    let message;
+    while ((message = receiveMessageOnPort(this.port))) {
+      const reply = message.message;
+      if (reply.failure) {
+        // the worker could not start: no reply will follow
+        this.failed = true;
+        return { error: Object.assign(new Error(reply.failure.message), reply.failure) };
+      }
+      if (reply.id === id) {
+        if (reply.error) {
+          reply.error = Object.assign(new Error(reply.error.message), reply.error);
+        }
+        return reply;
+      }
+    }
+    return null;
+  }
+
+  terminate() {
+    this.port.close();
+    return this.worker.terminate();
+  }
+}
+
+/**
+ * Returns the synchronous query worker of a connection setting, starting it on
+ * first use (or after it died).
+ * @param {Object} datasource - aReS datasource
+ * @param {string} connectionSettingName - Connection setting name
+ * @param {Object} options - Driver connection options (structured-cloneable)
+ * @param {string} [driver] - `mysql` or `mysql2`
+ * @param {function(string, string, Object)} [log] - Receives worker events
+ * @returns {SyncQueryWorker}
+ */
+export function getSyncQueryWorker(datasource, connectionSettingName, options, driver, log) {
+  let byName = workers.get(datasource);
+  if (!byName) {
+    byName = new Map();
+    workers.set(datasource, byName);
+  }
+  let worker = byName.get(connectionSettingName);
+  if (!worker || worker.failed) {
+    worker = new SyncQueryWorker(options, driver, log);
+    byName.set(connectionSettingName, worker);
+  }
+  return worker;
+}
+
+/**
+ * Stops the synchronous query worker of a connection setting, if started.
+ * @param {Object} datasource - aReS datasource
+ * @param {string} connectionSettingName - Connection setting name
+ * @returns {Promise<void>}
+ */
+export async function terminateSyncQueryWorker(datasource, connectionSettingName) {
+  const byName = workers.get(datasource);
+  const worker = byName?.get(connectionSettingName);
+  if (worker) {
+    byName.delete(connectionSettingName);
+    await worker.terminate();
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { parentPort, workerData } from "worker_threads";
+import { loadDriver } from "./drivers.js";
+import { castSettings, sessionTimezone, typeCastOptions } from "./type-cast.js";
+
+const { options, driver, port, signal } = workerData;
+const { initSession, ...connectionOptions } = options;
+let mysql;
+let connection = null;
+let initFailure = null;
+
+function getConnection() {
+  if (!connection) {
+    connection = mysql.createConnection({
+      ...connectionOptions,
+      ...typeCastOptions(castSettings(options.typeCast)),
+    });
+    initFailure = null;
+    // queued ahead of the first query, whose reply carries any failure
+    const initialize = (error) => {
+      initFailure = initFailure ?? error;
+    };
+    const timezone = sessionTimezone(options.timezone);
+    if (timezone) {
+      connection.query("SET time_zone = ?", [timezone], initialize);
+    }
+    for (const statement of [initSession ?? []].flat()) {
+      connection.query(statement, initialize);
+    }
+    connection.on("error", (error) => {
+      parentPort.postMessage({
+        level: "error",
+        event: "syncWorker",
+        error: { code: error.code, message: error.message },
+      });
+      connection = null;
+    });
+  }
+  return connection;
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    errno: error.errno,
+    sqlState: error.sqlState,
+    sqlMessage: error.sqlMessage,
+    fatal: error.fatal,
+  };
+}
+
+function reply(message) {
+  try {
+    port.postMessage(message);
+  } catch (cloneError) {
+    port.postMessage({ id: message.id, error: serializeError(cloneError) });
+  }
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+}
+
+// the caller is blocked in Atomics.wait: startup failures are replied, not thrown
+try {
+  mysql = await loadDriver(driver);
+} catch (error) {
+  reply({ failure: serializeError(error) });
+  port.close();
+  process.exit(1);
+}
+
+port.on("message", ({ id, command, params }) => {
+  const values = Array.isArray(params)
+    ? params.map((value) =>
+        value instanceof Uint8Array && !Buffer.isBuffer(value)
+          ? Buffer.from(value)
+          : value
+      )
+    : params;
+  const start = Date.now();
+  let current;
+  try {
+    current = getConnection();
+  } catch (error) {
+    connection = null;
+    return reply({ id, executionTime: 0, error: serializeError(error) });
+  }
+  current.query(command, values, (queryError, results, fields) => {
+    const error = initFailure ?? queryError;
+    if ((error?.fatal || initFailure) && connection === current) {
+      connection = null;
+      if (initFailure) {
+        current.destroy();
+      }
+    }
+    reply({
+      id,
+      executionTime: Date.now() - start,
+      results,
+      fields,
+      error: error ? serializeError(error) : undefined,
+    });
+  });
+});
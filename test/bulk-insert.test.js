@@ -0,0 +1,68 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { insertBatches } from "../bulk-insert.js";
+
+const escape = (value) => (typeof value === "number" ? String(value) : "'" + value + "'");
+const escapeId = (identifier) => "`" + identifier + "`";
+const options = { maxBytes: 1000, escape, escapeId };
+
+describe("insertBatches", () => {
+  it("takes the columns of the first object and fills missing ones with DEFAULT", () => {
+    const [batch] = insertBatches("t", [{ a: 1, b: "x" }, { a: 2 }], options);
+    assert.equal(batch.sql, "INSERT INTO `t` (`a`, `b`) VALUES (1, 'x'),(2, DEFAULT)");
+    assert.equal(batch.rows, 2);
+  });
+
+  it("keeps the values out of the logged statement", () => {
+    const [batch] = insertBatches("users", [{ name: "a", password: "secret" }], options);
+    assert.equal(batch.statement, "INSERT INTO `users` (`name`, `password`) VALUES /* 1 rows */");
+    assert.ok(!batch.statement.includes("secret"));
+  });
+
+  it("splits by row count and by size", () => {
+    const rows = Array.from({ length: 5 }, (_, index) => ({ a: index }));
+    assert.deepEqual(
+      insertBatches("t", rows, { ...options, maxRows: 2 }).map((batch) => batch.rows),
+      [2, 2, 1]
+    );
+    const batches = insertBatches("t", rows, { ...options, maxBytes: 40 });
+    assert.ok(batches.length > 1);
+    assert.equal(batches.reduce((total, batch) => total + batch.rows, 0), 5);
+    for (const batch of batches) {
+      assert.ok(Buffer.byteLength(batch.sql) <= 40, batch.sql);
+    }
+  });
+
+  it("builds IGNORE and upsert statements", () => {
+    assert.equal(insertBatches("t", [[1, "x"]], { ...options, columns: ["a", "b"], mode: "ignore" })[0].sql,
+      "INSERT IGNORE INTO `t` (`a`, `b`) VALUES (1, 'x')");
+    assert.equal(insertBatches("t", [[1, "x"]], { ...options, columns: ["a", "b"], mode: "upsert" })[0].sql,
+      "INSERT INTO `t` (`a`, `b`) VALUES (1, 'x') ON DUPLICATE KEY UPDATE `a` = VALUES(`a`), `b` = VALUES(`b`)");
+    assert.equal(insertBatches("t", [{ hits: 1 }], { ...options, mode: "upsert", update: { hits: "hits + 1" } })[0].sql,
+      "INSERT INTO `t` (`hits`) VALUES (1) ON DUPLICATE KEY UPDATE `hits` = hits + 1");
+  });
+
+  it("passes the column to the escaping", () => {
+    const columns = [];
+    insertBatches("t", [[1, 2]], {
+      ...options,
+      columns: ["a", "b"],
+      escape: (value, column) => {
+        columns.push(column);
+        return String(value);
+      },
+    });
+    assert.deepEqual(columns, ["a", "b"]);
+  });
+
+  it("rejects unknown modes, mismatched tuples, oversized rows and missing columns", () => {
+    assert.throws(() => insertBatches("t", [{ a: 1 }], { ...options, mode: "merge" }), /Unknown bulk insert mode "merge"/);
+    assert.throws(() => insertBatches("t", [[1, 2]], { ...options, columns: ["a"] }), /row 0 has 2 values, expected 1/);
+    assert.throws(() => insertBatches("t", [{ a: "x".repeat(100) }], { ...options, maxBytes: 60 }), /does not fit in a packet of 60 bytes/);
+    assert.throws(() => insertBatches("t", [[1]], options), /requires a column list/);
+  });
+});
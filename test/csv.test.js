@@ -0,0 +1,95 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CsvProgress, csvField, csvLine, loadDataStatement, loadDataSummary } from "../csv.js";
+
+const escape = (value) => "'" + String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/\t/g, "\\t") + "'";
+const escapeId = (identifier) => "`" + identifier + "`";
+
+describe("csvField", () => {
+  it("quotes fields that need it and doubles inner quotes", () => {
+    assert.equal(csvField("plain"), "plain");
+    assert.equal(csvField("a,b"), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField("line\nbreak"), '"line\nbreak"');
+    assert.equal(csvField(" padded"), '" padded"');
+    assert.equal(csvField("a\tb", { delimiter: "\t" }), '"a\tb"');
+  });
+
+  it("tells NULL from the empty string", () => {
+    assert.equal(csvField(null), "");
+    assert.equal(csvField(""), '""');
+    assert.equal(csvField(null, { nullValue: "\\N" }), "\\N");
+    assert.equal(csvField("\\N", { nullValue: "\\N" }), '"\\N"');
+  });
+
+  it("formats dates, buffers, booleans and objects", () => {
+    assert.equal(csvField(new Date(0)), "1970-01-01T00:00:00.000Z");
+    assert.equal(csvField(Buffer.from("ab")), "6162");
+    assert.equal(csvField(true), "1");
+    assert.equal(csvField({ a: 1 }), '"{""a"":1}"');
+    assert.equal(csvField(5, { formatValue: (value) => value * 2 }), "10");
+  });
+
+  it("joins a line with the delimiter and terminator", () => {
+    assert.equal(csvLine([1, null, "x,y"]), '1,,"x,y"\n');
+    assert.equal(csvLine([1, 2], { delimiter: "\t", lineTerminator: "\r\n" }), "1\t2\r\n");
+  });
+});
+
+describe("loadDataStatement", () => {
+  it("builds the statement from the options", () => {
+    assert.equal(
+      loadDataStatement(
+        "t",
+        "data.tsv",
+        { columns: ["a", null, "b"], set: { c: "NOW()" }, header: true, duplicates: "replace", delimiter: "\t", charset: "utf8mb4" },
+        escape,
+        escapeId
+      ),
+      "LOAD DATA LOCAL INFILE 'data.tsv' REPLACE INTO TABLE `t` CHARACTER SET utf8mb4" +
+        " FIELDS TERMINATED BY '\\t' OPTIONALLY ENCLOSED BY '\"' ESCAPED BY '\\\\'" +
+        " LINES TERMINATED BY '\\n' IGNORE 1 LINES (`a`, @skip1, `b`) SET `c` = NOW()"
+    );
+  });
+
+  it("rejects unknown duplicate modes and character sets that are not plain names", () => {
+    assert.throws(() => loadDataStatement("t", "f", { duplicates: "merge" }, escape, escapeId), /Unknown duplicates mode/);
+    assert.throws(
+      () => loadDataStatement("t", "f", { charset: "utf8 FIELDS TERMINATED BY ';'" }, escape, escapeId),
+      /Invalid character set/
+    );
+  });
+});
+
+describe("loadDataSummary", () => {
+  it("parses the info message of either driver", () => {
+    assert.deepEqual(loadDataSummary({ affectedRows: 3, message: "Records: 4  Deleted: 1  Skipped: 1  Warnings: 2" }), {
+      affectedRows: 3,
+      records: 4,
+      deleted: 1,
+      skipped: 1,
+      warnings: 2,
+    });
+    assert.equal(loadDataSummary({ info: "Records: 1  Deleted: 0  Skipped: 0  Warnings: 5", warningStatus: 0 }).warnings, 0);
+    assert.deepEqual(loadDataSummary(undefined), { affectedRows: 0, records: 0, deleted: 0, skipped: 0, warnings: 0 });
+  });
+});
+
+describe("CsvProgress", () => {
+  it("counts bytes and lines as data flows", async () => {
+    const reports = [];
+    const progress = new CsvProgress((report) => reports.push(report));
+    progress.resume();
+    progress.write(Buffer.from("a\nb\n"));
+    progress.end(Buffer.from("c"));
+    await new Promise((resolve) => progress.on("end", resolve));
+    assert.deepEqual(reports, [
+      { bytes: 4, lines: 2 },
+      { bytes: 5, lines: 2 },
+    ]);
+  });
+});
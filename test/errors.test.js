@@ -0,0 +1,94 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  CheckViolationError,
+  ConnectionError,
+  DeadlockError,
+  ForeignKeyViolationError,
+  MariaDBError,
+  NotNullViolationError,
+  UniqueViolationError,
+  UnknownObjectError,
+  classifyError,
+} from "../errors.js";
+
+function driverError(code, errno, sqlMessage, details = {}) {
+  return Object.assign(new Error(sqlMessage), { code, errno, sqlMessage, sqlState: "23000", ...details });
+}
+
+const foreignKeyMessage =
+  "a foreign key constraint fails (`shop`.`orders`, CONSTRAINT `fk_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`))";
+
+describe("classifyError", () => {
+  it("parses duplicate entries", () => {
+    const cause = driverError("ER_DUP_ENTRY", 1062, "Duplicate entry 'a@b.c' for key 'users.email'");
+    const error = classifyError(cause);
+    assert.ok(error instanceof UniqueViolationError);
+    assert.equal(error.httpStatus, 409);
+    assert.equal(error.value, "a@b.c");
+    assert.equal(error.table, "users");
+    assert.equal(error.constraint, "email");
+    assert.equal(error.code, "ER_DUP_ENTRY");
+    assert.equal(error.cause, cause);
+  });
+
+  it("parses foreign key violations, 422 for a missing parent and 409 for a referenced row", () => {
+    const missing = classifyError(
+      driverError("ER_NO_REFERENCED_ROW_2", 1452, "Cannot add or update a child row: " + foreignKeyMessage)
+    );
+    assert.ok(missing instanceof ForeignKeyViolationError);
+    assert.equal(missing.httpStatus, 422);
+    assert.deepEqual(
+      {
+        constraint: missing.constraint,
+        table: missing.table,
+        column: missing.column,
+        referencedTable: missing.referencedTable,
+        referencedColumn: missing.referencedColumn,
+      },
+      { constraint: "fk_user", table: "orders", column: "user_id", referencedTable: "users", referencedColumn: "id" }
+    );
+    const referenced = classifyError(
+      driverError("ER_ROW_IS_REFERENCED_2", 1451, "Cannot delete or update a parent row: " + foreignKeyMessage)
+    );
+    assert.equal(referenced.httpStatus, 409);
+  });
+
+  it("parses NOT NULL, CHECK and unknown table errors", () => {
+    const notNull = classifyError(driverError("ER_BAD_NULL_ERROR", 1048, "Column 'name' cannot be null"));
+    assert.ok(notNull instanceof NotNullViolationError);
+    assert.equal(notNull.column, "name");
+    const check = classifyError(
+      driverError("ER_CONSTRAINT_FAILED", 4025, "CONSTRAINT `price_positive` failed for `shop`.`products`")
+    );
+    assert.ok(check instanceof CheckViolationError);
+    assert.equal(check.constraint, "price_positive");
+    assert.equal(check.table, "products");
+    const unknown = classifyError(driverError("ER_NO_SUCH_TABLE", 1146, "Table 'shop.nope' doesn't exist"));
+    assert.ok(unknown instanceof UnknownObjectError);
+    assert.equal(unknown.table, "nope");
+  });
+
+  it("falls back on the errno when the code is unknown", () => {
+    assert.ok(classifyError(driverError(undefined, 1213, "Deadlock found")) instanceof DeadlockError);
+  });
+
+  it("classifies network and fatal errors as connection errors", () => {
+    assert.ok(classifyError(driverError("ECONNREFUSED", undefined, "refused")) instanceof ConnectionError);
+    const lost = classifyError(driverError("SOMETHING_ELSE", undefined, "lost", { fatal: true }));
+    assert.ok(lost instanceof ConnectionError);
+    assert.equal(lost.fatal, true);
+  });
+
+  it("wraps other errors and returns classified ones unchanged", () => {
+    const other = classifyError(driverError("ER_SOMETHING", 9999, "other"));
+    assert.equal(other.constructor, MariaDBError);
+    assert.equal(other.httpStatus, 500);
+    assert.equal(classifyError(other), other);
+    assert.equal(classifyError(null), null);
+  });
+});
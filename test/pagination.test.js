@@ -0,0 +1,105 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  countQuery,
+  decodeCursor,
+  encodeCursor,
+  keysetFingerprint,
+  keysetOrder,
+  keysetQuery,
+} from "../pagination.js";
+
+const escapeId = (identifier) => "`" + identifier + "`";
+const order = keysetOrder(["created_at DESC"], "id");
+const fingerprint = keysetFingerprint("SELECT * FROM posts", order);
+
+describe("keysetOrder", () => {
+  it("appends the primary key in the direction of the last column", () => {
+    assert.deepEqual(order, [
+      { column: "created_at", descending: true },
+      { column: "id", descending: true },
+    ]);
+    assert.deepEqual(keysetOrder([{ column: "id", direction: "asc" }]), [{ column: "id", descending: false }]);
+  });
+
+  it("rejects unknown directions", () => {
+    assert.throws(() => keysetOrder(["name sideways"]), TypeError);
+  });
+});
+
+describe("keysetQuery", () => {
+  it("selects the rows after the keyset, one more than the limit", () => {
+    const date = new Date(0);
+    assert.deepEqual(keysetQuery("SELECT * FROM posts WHERE author = ?;", [7], order, [date, 5], { limit: 10, escapeId }), {
+      command:
+        "SELECT * FROM (SELECT * FROM posts WHERE author = ?) AS keyset_page" +
+        " WHERE (`created_at` < ?) OR (`created_at` = ? AND `id` < ?)" +
+        " ORDER BY `created_at` DESC, `id` DESC LIMIT 11",
+      params: [7, date, date, 5],
+    });
+  });
+
+  it("reverses the ordering when going backward", () => {
+    assert.equal(
+      keysetQuery("SELECT * FROM posts", undefined, order, null, { limit: 2, backward: true, escapeId }).command,
+      "SELECT * FROM (SELECT * FROM posts) AS keyset_page ORDER BY `created_at` ASC, `id` ASC LIMIT 3"
+    );
+  });
+
+  it("counts the rows of the base query", () => {
+    assert.equal(countQuery("SELECT * FROM posts;"), "SELECT COUNT(*) AS total FROM (SELECT * FROM posts) AS counted");
+  });
+});
+
+describe("cursors", () => {
+  const row = { created_at: new Date("2024-05-01T10:00:00Z"), id: 42n, token: Buffer.from("ab") };
+  const cursor = encodeCursor(row, order, "next", fingerprint, "s3cret");
+
+  it("round-trip the keyset, keeping dates as dates", () => {
+    const decoded = decodeCursor(cursor, fingerprint, "s3cret");
+    assert.equal(decoded.direction, "next");
+    assert.ok(decoded.values[0] instanceof Date);
+    assert.equal(decoded.values[0].toISOString(), "2024-05-01T10:00:00.000Z");
+    assert.equal(decoded.values[1], "42");
+  });
+
+  it("keep buffers as buffers", () => {
+    const tokenOrder = keysetOrder(["token"], []);
+    const decoded = decodeCursor(encodeCursor(row, tokenOrder, "prev", "f", "s3cret"), "f", "s3cret");
+    assert.ok(Buffer.isBuffer(decoded.values[0]));
+    assert.equal(decoded.values[0].toString(), "ab");
+    assert.equal(decoded.direction, "prev");
+  });
+
+  it("reject a tampered payload", () => {
+    const [, signature] = cursor.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ k: [{ $date: "2024-05-01T10:00:00.000Z" }, "41"], d: "next", f: fingerprint })
+    ).toString("base64url");
+    assert.equal(decodeCursor(forged + "." + signature, fingerprint, "s3cret"), null);
+  });
+
+  it("reject a tampered signature, another secret or another query", () => {
+    const [payload, signature] = cursor.split(".");
+    const flipped = (signature[0] === "A" ? "B" : "A") + signature.slice(1);
+    assert.equal(decodeCursor(payload + "." + flipped, fingerprint, "s3cret"), null);
+    assert.equal(decodeCursor(cursor, fingerprint, "other"), null);
+    assert.equal(decodeCursor(cursor, keysetFingerprint("SELECT * FROM users", order), "s3cret"), null);
+  });
+
+  it("reject malformed tokens", () => {
+    for (const token of ["", "abc", cursor + ".extra", ".", undefined]) {
+      assert.equal(decodeCursor(token, fingerprint, "s3cret"), null, String(token));
+    }
+  });
+
+  it("use a per-process secret when none is configured", () => {
+    const unsigned = encodeCursor(row, order, "next", fingerprint);
+    assert.notEqual(decodeCursor(unsigned, fingerprint), null);
+    assert.equal(decodeCursor(unsigned, fingerprint, "s3cret"), null);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it } from "node:test";
+import { resolveCredentials, tlsOptions } from "../security.js";
+
+const pem = "-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n";
+
+describe("tlsOptions", () => {
+  it("is undefined when TLS is off", () => {
+    assert.equal(tlsOptions(undefined), undefined);
+    assert.equal(tlsOptions(false), undefined);
+  });
+
+  it("verifies the server and requires TLS 1.2 by default", () => {
+    assert.deepEqual(tlsOptions(true), { rejectUnauthorized: true, minVersion: "TLSv1.2" });
+  });
+
+  it("keeps explicit settings and passes other keys through", () => {
+    assert.deepEqual(
+      tlsOptions({ rejectUnauthorized: false, minVersion: "TLSv1.3", servername: "db.internal" }),
+      { servername: "db.internal", rejectUnauthorized: false, minVersion: "TLSv1.3" }
+    );
+  });
+
+  it("reads file paths and keeps PEM text and Buffers", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tls-options-"));
+    try {
+      const file = path.join(directory, "ca.pem");
+      fs.writeFileSync(file, pem);
+      const key = Buffer.from("key");
+      const options = tlsOptions({ ca: [file, pem], cert: pem, key });
+      assert.ok(Buffer.isBuffer(options.ca[0]));
+      assert.equal(options.ca[0].toString(), pem);
+      assert.equal(options.ca[1], pem);
+      assert.equal(options.cert, pem);
+      assert.equal(options.key, key);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it("resolves each settings object once", () => {
+    const settings = { servername: "db.internal" };
+    assert.equal(tlsOptions(settings), tlsOptions(settings));
+  });
+
+  it("fails on unreadable certificate files", () => {
+    assert.throws(() => tlsOptions({ ca: "/nonexistent/ca.pem" }), { code: "ENOENT" });
+  });
+});
+
+describe("resolveCredentials", () => {
+  it("passes the context to the provider", async () => {
+    let received;
+    await resolveCredentials(async (context) => {
+      received = context;
+      return { password: "secret" };
+    }, { user: "app", host: "db" });
+    assert.deepEqual(received, { user: "app", host: "db" });
+  });
+
+  it("defaults the user to the connection one and never expires", async () => {
+    assert.deepEqual(
+      await resolveCredentials(async () => ({ password: "secret" }), { user: "app" }),
+      { user: "app", password: "secret", expiresAt: Infinity }
+    );
+  });
+
+  it("uses a token as the password", async () => {
+    const credentials = await resolveCredentials(() => ({ user: "iam", token: "t0k3n" }), {
+      user: "app",
+    });
+    assert.equal(credentials.user, "iam");
+    assert.equal(credentials.password, "t0k3n");
+  });
+
+  it("accepts expiry dates and epoch milliseconds", async () => {
+    const expiresAt = Date.now() + 60000;
+    const provider = (value) => async () => ({ password: "secret", expiresAt: value });
+    assert.equal((await resolveCredentials(provider(expiresAt), {})).expiresAt, expiresAt);
+    assert.equal((await resolveCredentials(provider(new Date(expiresAt)), {})).expiresAt, expiresAt);
+  });
+
+  it("rejects answers without a password or token", async () => {
+    await assert.rejects(resolveCredentials(async () => ({ user: "app" }), {}), TypeError);
+    await assert.rejects(resolveCredentials(async () => undefined, {}), TypeError);
+  });
+
+  it("propagates provider failures", async () => {
+    const failure = new Error("vault unavailable");
+    await assert.rejects(
+      resolveCredentials(async () => {
+        throw failure;
+      }, {}),
+      failure
+    );
+  });
+});
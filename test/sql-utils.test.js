@@ -0,0 +1,143 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  bindNamedParameters,
+  isReadOnlyStatement,
+  splitStatements,
+  writtenTables,
+} from "../sql-utils.js";
+
+const escapeId = (identifier) => "`" + identifier.replace(/`/g, "``") + "`";
+
+describe("bindNamedParameters", () => {
+  it("rewrites repeated names and expands lists", () => {
+    assert.deepEqual(
+      bindNamedParameters("SELECT * FROM t WHERE id IN (:ids) AND (a = :a OR b = :a)", { ids: [1, 2], a: "x" }, escapeId),
+      { command: "SELECT * FROM t WHERE id IN (?, ?) AND (a = ? OR b = ?)", params: [1, 2, "x", "x"] }
+    );
+  });
+
+  it("expands nested arrays to row tuples and empty arrays to NULL", () => {
+    assert.deepEqual(bindNamedParameters("INSERT INTO t VALUES :rows", { rows: [[1, "a"], [2, "b"]] }, escapeId), {
+      command: "INSERT INTO t VALUES (?, ?), (?, ?)",
+      params: [1, "a", 2, "b"],
+    });
+    assert.deepEqual(bindNamedParameters("SELECT * FROM t WHERE id IN (:ids)", { ids: [] }, escapeId), {
+      command: "SELECT * FROM t WHERE id IN (NULL)",
+      params: [],
+    });
+  });
+
+  it("inlines ::ident values as escaped identifiers", () => {
+    assert.deepEqual(
+      bindNamedParameters("SELECT ::columns FROM ::table WHERE id = :id", { columns: ["a", "b`c"], table: "users", id: 1 }, escapeId),
+      { command: "SELECT `a`, `b``c` FROM `users` WHERE id = ?", params: [1] }
+    );
+    assert.throws(() => bindNamedParameters("SELECT ::columns FROM t", { columns: [] }, escapeId), {
+      message: 'Empty identifier list for "::columns"',
+    });
+  });
+
+  it("ignores names inside literals and comments", () => {
+    assert.deepEqual(bindNamedParameters("SELECT ':a', `:b` /* :c */, :d", { d: 1 }, escapeId), {
+      command: "SELECT ':a', `:b` /* :c */, ?",
+      params: [1],
+    });
+  });
+
+  it("resolves own properties only", () => {
+    for (const name of ["constructor", "toString", "hasOwnProperty"]) {
+      assert.throws(() => bindNamedParameters("SELECT :" + name, { a: 1 }, escapeId), {
+        message: 'Missing value for named parameter ":' + name + '"',
+      });
+    }
+    const params = Object.assign(Object.create(null), { id: 1 });
+    assert.deepEqual(bindNamedParameters("SELECT :id", params, escapeId).params, [1]);
+  });
+
+  it("rejects mixed placeholders and unused keys", () => {
+    assert.throws(() => bindNamedParameters("SELECT :a, ?", { a: 1 }, escapeId), {
+      message: "Named and positional (?) placeholders cannot be mixed",
+    });
+    assert.throws(() => bindNamedParameters("SELECT :a", { a: 1, b: 2 }, escapeId), {
+      message: "Unused named parameters: :b",
+    });
+  });
+
+  it("leaves commands without named placeholders unchanged", () => {
+    const params = [1];
+    assert.deepEqual(bindNamedParameters("SELECT ?", params, escapeId), { command: "SELECT ?", params });
+  });
+});
+
+describe("splitStatements", () => {
+  it("splits on separators outside literals and comments and counts placeholders", () => {
+    assert.deepEqual(splitStatements("SELECT 1; SELECT ';', ?; /* ; */ UPDATE t SET a = ?? WHERE b = ?;"), [
+      { sql: "SELECT 1", placeholders: 0 },
+      { sql: "SELECT ';', ?", placeholders: 1 },
+      { sql: "/* ; */ UPDATE t SET a = ?? WHERE b = ?", placeholders: 2 },
+    ]);
+  });
+});
+
+describe("isReadOnlyStatement", () => {
+  it("accepts plain reads", () => {
+    for (const command of ["SELECT 1", "show tables", "/* x */ (SELECT 1)", "EXPLAIN SELECT * FROM t", "SELECT 1;"]) {
+      assert.equal(isReadOnlyStatement(command), true, command);
+    }
+  });
+
+  it("rejects writes, locking reads and session-bound reads", () => {
+    for (const command of [
+      "UPDATE t SET a = 1",
+      "SELECT * FROM t FOR UPDATE",
+      "SELECT * FROM t LOCK IN SHARE MODE",
+      "SELECT a INTO @a FROM t",
+      "SELECT LAST_INSERT_ID()",
+      "SELECT @counter",
+      "SELECT 1; DELETE FROM t",
+    ]) {
+      assert.equal(isReadOnlyStatement(command), false, command);
+    }
+  });
+
+  it("ignores @ and ; inside string literals and comments", () => {
+    assert.equal(isReadOnlyStatement("SELECT * FROM users WHERE email = 'a@b.c'"), true);
+    assert.equal(isReadOnlyStatement("SELECT ';' AS separator -- @not a variable"), true);
+  });
+
+  it("classifies WITH by the statement after the CTE list", () => {
+    assert.equal(isReadOnlyStatement("WITH t AS (SELECT id FROM a) SELECT * FROM t"), true);
+    assert.equal(
+      isReadOnlyStatement("WITH RECURSIVE n (i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 5) SELECT * FROM n"),
+      true
+    );
+    assert.equal(isReadOnlyStatement("WITH a AS (SELECT ')' x), b AS (SELECT 2) (SELECT * FROM a)"), true);
+    assert.equal(isReadOnlyStatement("WITH t AS (SELECT id FROM a) DELETE FROM b WHERE id IN (SELECT id FROM t)"), false);
+    assert.equal(isReadOnlyStatement("WITH t AS (SELECT 1) UPDATE b SET x = 1"), false);
+  });
+});
+
+describe("writtenTables", () => {
+  it("is empty for reads and session statements", () => {
+    assert.deepEqual(writtenTables("SELECT * FROM t; SET @a = 1; COMMIT"), []);
+    assert.deepEqual(writtenTables("WITH t AS (SELECT 1) SELECT * FROM t"), []);
+  });
+
+  it("lists the tables of writes, lower case and without schema", () => {
+    assert.deepEqual(writtenTables("DELETE FROM `shop`.`Orders` WHERE id = 1"), ["orders"]);
+    assert.deepEqual(writtenTables("UPDATE a JOIN b ON a.id = b.id SET a.x = 1; INSERT INTO c VALUES (1)"), ["a", "b", "c"]);
+  });
+
+  it("treats WITH ... DELETE as a write", () => {
+    assert.ok(writtenTables("WITH t AS (SELECT id FROM a) DELETE FROM b WHERE id IN (SELECT id FROM t)").includes("b"));
+  });
+
+  it("is null when the written tables cannot be told", () => {
+    assert.equal(writtenTables("CALL refresh_totals()"), null);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` inside a request context: spans started by `MariaDB` while it
+ * runs (across awaits, timers and callbacks) become children of
+ * `context.span`, usually the span of the current aReS request.
+ * @param {Object} context - Context values, with the parent `span` if any
+ * @param {function(): *} fn
+ * @returns {*} - The value returned by `fn`
+ */
+export function runInRequestContext(context, fn) {
+  return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Returns the values of the current request context, if any.
+ */
+export function currentRequestContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * Returns the innermost span of the current context, if any.
+ */
+export function currentSpan() {
+  return requestContext.getStore()?.span;
+}
+
+/**
+ * Starts a span on `tracer` as a child of the current one and runs `fn`
+ * with the new span as current. The span is ended when `fn` settles, with
+ * an error status and the exception when it throws. Without a tracer `fn`
+ * simply runs.
+ * @param {?Object} tracer - Object with `startSpan(name, {attributes, parent})`
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes
+ * @param {function(?Object): Promise<*>} fn - Receives the span
+ * @returns {Promise<*>}
+ */
+export async function withSpan(tracer, name, attributes, fn) {
+  if (!tracer) {
+    return await fn();
+  }
+  const store = requestContext.getStore();
+  const span = tracer.startSpan(name, { attributes, parent: store?.span });
+  try {
+    const result = await requestContext.run({ ...store, span }, () => fn(span));
+    span.setStatus({ code: "ok" });
+    return result;
+  } catch (failure) {
+    const error = failure?.error ?? failure;
+    span.recordException(error);
+    span.setStatus({ code: "error", message: error?.message });
+    throw failure;
+  } finally {
+    span.end();
+  }
+}
+
+class Span {
+  constructor(exporter, name, attributes, parent) {
+    this.exporter = exporter;
+    this.name = name;
+    this.traceId = parent?.traceId ?? randomBytes(16).toString("hex");
+    this.spanId = randomBytes(8).toString("hex");
+    this.parentSpanId = parent?.spanId;
+    this.attributes = {};
+    this.setAttributes(attributes);
+    this.events = [];
+    this.status = { code: "unset" };
+    this.startTime = Date.now();
+    this.endTime = null;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  recordException(error) {
+    this.events.push({
+      name: "exception",
+      time: Date.now(),
+      attributes: {
+        "exception.type": error?.code ?? error?.name,
+        "exception.message": error?.message,
+      },
+    });
+    return this;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = Date.now();
+    this.duration = this.endTime - this.startTime;
+    this.exporter?.export(this);
+  }
+}
+
+/**
+ * Minimal tracer handing finished spans to an exporter. Any tracer with the
+ * same `startSpan(name, {attributes, parent})` signature, returning spans
+ * with `setAttribute`, `setAttributes`, `recordException`, `setStatus` and
+ * `end`, can be injected instead (e.g. an OpenTelemetry adapter).
+ */
+export class Tracer {
+  constructor({ exporter } = {}) {
+    this.exporter = exporter;
+  }
+
+  startSpan(name, { attributes = {}, parent } = {}) {
+    return new Span(this.exporter, name, attributes, parent);
+  }
+}
+
+/**
+ * Keeps finished spans in memory, for tests and local inspection.
+ */
+export class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+  }
+
+  getFinishedSpans() {
+    return [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
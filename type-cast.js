@@ -0,0 +1,201 @@
+/**
+ * @author Roberto Stefani
+ **/
+
+import { placeholderNames } from "./logger.js";
+
+const bigintModes = ["number", "string", "bigint"];
+const decimalModes = ["number", "string"];
+const numericLiteral = /^[-+]?\d+(\.\d+)?(e[-+]?\d+)?$/i;
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function sqlLiteral(text) {
+  return { toSqlString: () => text };
+}
+
+/**
+ * Normalizes the `typeCast` connection setting. Only a plain object enables
+ * this layer: `false` or a driver `typeCast` function are passed through.
+ * @returns {?{bigint: string, decimal: string|function(string): *, json: boolean|string[], boolean: boolean}}
+ */
+export function castSettings(typeCast) {
+  if (!isPlainObject(typeCast)) {
+    return null;
+  }
+  const { bigint = "number", decimal = "string", json = false, boolean = false } = typeCast;
+  if (!bigintModes.includes(bigint)) {
+    throw new TypeError('typeCast.bigint must be "number", "string" or "bigint"');
+  }
+  if (typeof decimal !== "function" && !decimalModes.includes(decimal)) {
+    throw new TypeError('typeCast.decimal must be "number", "string" or a function');
+  }
+  return { bigint, decimal, json, boolean };
+}
+
+function isJsonColumn(field, json) {
+  if (Array.isArray(json)) {
+    return json.includes(field.name);
+  }
+  // MariaDB stores JSON as LONGTEXT; mysql2 exposes it through extended metadata
+  return json && (field.type === "JSON" || field.extendedFormat === "json");
+}
+
+function isJsonParam(column, json) {
+  return Array.isArray(json) ? json.includes(column) : Boolean(json && column);
+}
+
+function parseJson(value) {
+  const text = Buffer.isBuffer(value) ? value.toString("utf8") : value;
+  return typeof text === "string" ? JSON.parse(text) : text;
+}
+
+/**
+ * Driver options implementing the settings. BIGINT and DECIMAL are always
+ * read as strings so nothing is lost before the configured conversion.
+ * @param {?Object} settings - Result of `castSettings`
+ * @returns {Object}
+ */
+export function typeCastOptions(settings) {
+  if (!settings) {
+    return {};
+  }
+  const { bigint, decimal, json, boolean } = settings;
+  return {
+    supportBigNumbers: true,
+    bigNumberStrings: true,
+    typeCast(field, next) {
+      if (isJsonColumn(field, json)) {
+        return parseJson(next());
+      }
+      switch (field.type) {
+        case "LONGLONG": {
+          const value = next();
+          if (value === null) {
+            return null;
+          }
+          if (bigint === "bigint") {
+            return BigInt(value);
+          }
+          return bigint === "number" ? Number(value) : String(value);
+        }
+        case "NEWDECIMAL":
+        case "DECIMAL": {
+          const value = next();
+          if (value === null) {
+            return null;
+          }
+          if (typeof decimal === "function") {
+            return decimal(String(value));
+          }
+          return decimal === "number" ? Number(value) : String(value);
+        }
+        case "TINY":
+        case "BIT":
+          if (boolean && field.length === 1) {
+            const value = next();
+            if (value === null) {
+              return null;
+            }
+            return Buffer.isBuffer(value) ? value[0] === 1 : Number(value) !== 0;
+          }
+          break;
+      }
+      return next();
+    },
+  };
+}
+
+/**
+ * Applies the same rules to a parameter: BigInt and decimal-library values
+ * (objects whose string form is a number) become exact numeric literals, or
+ * stay as bound values in prepared statements. With `json` enabled, objects
+ * and arrays bound to a JSON column are serialized; a plain object standing
+ * for a whole `SET ?` is left to the driver expansion, its values cast by
+ * key. Other arrays (IN lists, VALUES ?) are cast element-wise.
+ * @param {string} [column] - Column the value is bound to, when known
+ */
+export function castParam(value, settings, prepared = false, column = null) {
+  if ((Array.isArray(value) || isPlainObject(value)) && isJsonParam(column, settings.json)) {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => castParam(item, settings, prepared));
+  }
+  if (typeof value === "bigint") {
+    return prepared ? value : sqlLiteral(value.toString());
+  }
+  if (
+    value === null ||
+    typeof value !== "object" ||
+    value instanceof Date ||
+    Buffer.isBuffer(value) ||
+    typeof value.toSqlString === "function"
+  ) {
+    return value;
+  }
+  if (isPlainObject(value)) {
+    return column
+      ? value
+      : Object.fromEntries(
+          Object.entries(value).map(([key, item]) => [key, castParam(item, settings, prepared, key)])
+        );
+  }
+  const text = String(value);
+  if (!numericLiteral.test(text)) {
+    return value;
+  }
+  return prepared ? text : sqlLiteral(text);
+}
+
+// column a positional parameter is bound to: arrays only for listed JSON
+// columns, since `IN (?)` lists also follow a column name
+function boundColumn(value, column, json) {
+  if (isPlainObject(value)) {
+    return column;
+  }
+  return Array.isArray(value) && Array.isArray(json) && json.includes(column) ? column : null;
+}
+
+/**
+ * Casts the positional parameters of `command`. An object parameter, or an
+ * array one when its column is listed in `json`, is bound to the column its
+ * placeholder is compared with or inserted into, if any.
+ */
+export function castParams(params, settings, prepared = false, command = "") {
+  if (!settings || !Array.isArray(params)) {
+    return params;
+  }
+  const columns =
+    settings.json && params.some((value) => isPlainObject(value) || Array.isArray(value))
+      ? placeholderNames(command)
+      : [];
+  return params.map((value, index) =>
+    castParam(value, settings, prepared, boundColumn(value, columns[index], settings.json))
+  );
+}
+
+/**
+ * Session `time_zone` matching the driver `timezone` option, so server-side
+ * conversions (NOW(), TIMESTAMP columns) agree with the values the driver
+ * reads and writes. `null` for "local", which has no fixed offset.
+ */
+export function sessionTimezone(timezone) {
+  if (!timezone || timezone === "local") {
+    return null;
+  }
+  if (timezone === "Z" || timezone === "UTC") {
+    return "+00:00";
+  }
+  const offset = /^([-+])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (!offset) {
+    throw new TypeError('timezone must be "local", "Z", "UTC" or an offset like "+02:00"');
+  }
+  return offset[1] + offset[2] + ":" + offset[3];
+}